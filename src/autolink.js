@@ -0,0 +1,177 @@
+import document from 'document';
+import { instances } from './common.js';
+import { execAction } from './commands.js';
+import {
+  addListener,
+  escapeHTML,
+  getFragmentContent,
+  getInstanceId,
+  setSelection
+} from './utils.js';
+
+// Web addresses with a protocol or starting with www.
+const urlPattern = /^(?:https?:\/\/|www\.)[^\s<>"]+$/i;
+
+// Email addresses
+const emailPattern = /^[^\s@<>"()]+@[^\s@<>"()]+\.[a-z]{2,}$/i;
+
+// Punctuation that ends a sentence rather than the address (e.g: "see example.com/page.")
+const trailingPunctuation = /[.,;:!?'")\]]+$/;
+
+/**
+ * Get the link address of a piece of text.
+ * @param {string} text The text.
+ * @return {string} The URL of the link, or an empty string if the text is not a web or email address.
+ */
+function getLinkUrl(text) {
+  if (urlPattern.test(text)) {
+    return /^www\./i.test(text) ? `https://${text}` : text;
+  }
+
+  if (emailPattern.test(text)) {
+    return `mailto:${text}`;
+  }
+
+  return '';
+}
+
+/**
+ * Check if links can be added automatically in an editor instance.
+ * @param {object} editor The editor element.
+ * @param {string} option The option that enables the behavior (autoLink or linkOnPaste).
+ * @return {boolean} True if the option is set and the link tool is enabled.
+ */
+function canAutoLink(editor, option) {
+  const instance = instances[getInstanceId(editor)];
+
+  if (!instance || !instance[option]) {
+    return false;
+  }
+
+  const allowedTag = instance.allowedTags.a;
+
+  return !!allowedTag && allowedTag.toolName === 'link';
+}
+
+/**
+ * Find the web or email address that ends at a position of a text node.
+ * @param {object} node The text node.
+ * @param {number} offset The position in the text node.
+ * @return {object} The start, end and URL of the address, or null if there's none.
+ */
+function findAddress(node, offset) {
+  const word = node.data.substring(0, offset).match(/\S+$/);
+
+  if (!word || node.parentNode.closest('a')) {
+    return null;
+  }
+
+  const text = word[0].replace(trailingPunctuation, '');
+  const url = getLinkUrl(text);
+
+  return url ? { start: word.index, end: word.index + text.length, url } : null;
+}
+
+/**
+ * Turn an address of a text node into a link, and restore the caret.
+ * @param {object} editor The editor element.
+ * @param {object} node The text node.
+ * @param {object} address The address, as returned by findAddress.
+ * @param {number} caretOffset The position of the caret in the text node.
+ */
+function linkAddress(editor, node, address, caretOffset) {
+  const { start, end, url } = address;
+  const text = node.data.substring(start, end);
+  const range = document.createRange();
+
+  // Keep the text that follows the address out of the link
+  const after = node.splitText(end);
+
+  range.setStart(node, start);
+  range.setEnd(node, end);
+  setSelection(range);
+
+  // Use the same path as the link tool
+  execAction('link', editor, [url, '', escapeHTML(text)]);
+
+  if (editor.contains(after)) {
+    const caret = document.createRange();
+
+    caret.setStart(after, caretOffset - end);
+    caret.collapse(true);
+    setSelection(caret);
+  } else {
+    document.getSelection().collapseToEnd();
+  }
+}
+
+/**
+ * Turn the selected text into a link if the pasted text is a web address.
+ * @param {object} editor The editor element.
+ * @param {string} text The pasted text.
+ * @return {boolean} True if a link was added instead of pasting the text.
+ */
+function pasteLink(editor, text) {
+  const selection = document.getSelection();
+
+  if (!text || !selection.rangeCount || selection.isCollapsed || !canAutoLink(editor, 'linkOnPaste')) {
+    return false;
+  }
+
+  const url = getLinkUrl(text.trim());
+
+  if (!url || /^mailto:/.test(url)) {
+    return false;
+  }
+
+  const linkText = getFragmentContent(selection.getRangeAt(0).cloneContents());
+
+  execAction('link', editor, [url, '', linkText]);
+
+  return true;
+}
+
+// Link the address typed before a space
+addListener(document, 'input', '.wysi-editor', event => {
+  const editor = event.target;
+  const selection = document.getSelection();
+
+  if (event.inputType !== 'insertText' || event.data !== ' ' || !selection.rangeCount || !canAutoLink(editor, 'autoLink')) {
+    return;
+  }
+
+  const caret = selection.getRangeAt(0);
+  const node = caret.startContainer;
+  const offset = caret.startOffset;
+
+  if (!caret.collapsed || node.nodeType !== 3 || offset < 1 || !/\s/.test(node.data.charAt(offset - 1))) {
+    return;
+  }
+
+  const address = findAddress(node, offset - 1);
+
+  if (address) {
+    linkAddress(editor, node, address, offset);
+  }
+});
+
+// Link the address typed before a line break
+addListener(document, 'keydown', '.wysi-editor', event => {
+  const editor = event.target;
+  const selection = document.getSelection();
+
+  if (event.key !== 'Enter' || event.ctrlKey || event.altKey || event.metaKey || !selection.rangeCount || !canAutoLink(editor, 'autoLink')) {
+    return;
+  }
+
+  const caret = selection.getRangeAt(0);
+  const node = caret.startContainer;
+  const address = caret.collapsed && node.nodeType === 3 ? findAddress(node, caret.startOffset) : null;
+
+  // The line break is added after the link
+  if (address) {
+    linkAddress(editor, node, address, caret.startOffset);
+  }
+});
+
+export { pasteLink };
\ No newline at end of file
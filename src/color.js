@@ -0,0 +1,182 @@
+import document from 'document';
+import toolset, { getFormOptions } from './toolset.js';
+import { instances } from './common.js';
+import { getInstanceId } from './utils.js';
+import { dispatchEvent, execCommand } from './shortcuts.js';
+
+// The browser commands of the color tools
+const colorCommands = {
+  foreColor: 'foreColor',
+  highlight: 'hiliteColor'
+};
+
+/**
+ * Apply or remove the color of a color tool in the current selection.
+ * @param {object} editor The editor element.
+ * @param {string} toolName The color tool (foreColor or highlight).
+ * @param {string} [color] The hex code of the color, or an empty string to remove the color.
+ */
+function execColorCommand(editor, toolName, color) {
+  const { classPrefix } = getFormOptions(toolName, instances[getInstanceId(editor)].formOptions);
+  const property = toolset[toolName].styles[0];
+
+  if (!color) {
+    removeColor(editor, property, classPrefix);
+    return;
+  }
+
+  color = normalizeColor(color);
+
+  if (!color) {
+    return;
+  }
+
+  // The browser only uses spans with inline styles in CSS mode
+  execCommand('styleWithCSS', true);
+  execCommand(colorCommands[toolName], color);
+  execCommand('styleWithCSS', false);
+
+  // Replace the inline styles with classes if needed (only in the selection, other colored text may come from elsewhere)
+  if (classPrefix) {
+    const selection = document.getSelection();
+    const range = selection.rangeCount ? selection.getRangeAt(0) : null;
+
+    editor.querySelectorAll('span[style]').forEach(span => {
+      if (range && range.intersectsNode(span) && span.style.getPropertyValue(property)) {
+        span.style.removeProperty(property);
+        span.classList.add(`${classPrefix}${color.substring(1)}`);
+        cleanSpan(span);
+      }
+    });
+
+    dispatchEvent(editor, 'input');
+  }
+}
+
+/**
+ * Remove the color of a color tool from the spans in the current selection.
+ * @param {object} editor The editor element.
+ * @param {string} property The CSS property of the color.
+ * @param {string} [classPrefix] The prefix of the color classes if any.
+ */
+function removeColor(editor, property, classPrefix) {
+  const selection = document.getSelection();
+
+  if (!selection.rangeCount) {
+    return;
+  }
+
+  const range = selection.getRangeAt(0);
+  const spans = Array.from(editor.querySelectorAll('span')).filter(span => range.intersectsNode(span));
+
+  // Also include the span containing the caret
+  let ancestor = range.commonAncestorContainer;
+
+  while (ancestor && ancestor !== editor) {
+    if (ancestor.tagName === 'SPAN' && !spans.includes(ancestor)) {
+      spans.push(ancestor);
+    }
+
+    ancestor = ancestor.parentNode;
+  }
+
+  spans.forEach(span => {
+    span.style.removeProperty(property);
+
+    if (classPrefix) {
+      getColorClasses(span, classPrefix).forEach(className => span.classList.remove(className));
+    }
+
+    cleanSpan(span);
+  });
+
+  dispatchEvent(editor, 'input');
+}
+
+/**
+ * Unwrap a span that has no attribute left, and remove its empty attributes.
+ * @param {object} span The span element.
+ */
+function cleanSpan(span) {
+  ['style', 'class'].forEach(attribute => {
+    if (span.getAttribute(attribute) === '') {
+      span.removeAttribute(attribute);
+    }
+  });
+
+  if (!span.attributes.length) {
+    span.replaceWith(...span.childNodes);
+  }
+}
+
+/**
+ * Get the color of a color tool that applies to the current selection.
+ * @param {array} nodes The elements containing the selection (innermost first).
+ * @param {string} toolName The color tool (foreColor or highlight).
+ * @param {object} [formOptions] The form options of the instance's tools.
+ * @return {string} The color, or an empty string if no color applies.
+ */
+function getActiveColor(nodes, toolName, formOptions) {
+  const { classPrefix } = getFormOptions(toolName, formOptions);
+  const property = toolset[toolName].styles[0];
+
+  for (const node of nodes) {
+    const color = node.style.getPropertyValue(property);
+
+    if (color) {
+      return normalizeColor(color);
+    }
+
+    if (classPrefix) {
+      const className = getColorClasses(node, classPrefix)[0];
+
+      if (className) {
+        return `#${className.substring(classPrefix.length)}`;
+      }
+    }
+  }
+
+  return '';
+}
+
+/**
+ * Get the color classes of an element.
+ * @param {object} element The element.
+ * @param {string} classPrefix The prefix of the color classes.
+ * @return {array} The class names.
+ */
+function getColorClasses(element, classPrefix) {
+  return Array.from(element.classList).filter(className => {
+    return className.indexOf(classPrefix) === 0 && /^[\da-f]{6}$/i.test(className.substring(classPrefix.length));
+  });
+}
+
+/**
+ * Convert a color code to its 6 digit lowercase hex form.
+ * @param {string} color The hex code, with or without the hash sign (e.g: #F00, 3598db), or an rgb() color.
+ * @return {string} The normalized color code, or an empty string if the code is not valid.
+ */
+function normalizeColor(color) {
+  const rgb = color.match(/^rgb\(\s*(\d{1,3}),\s*(\d{1,3}),\s*(\d{1,3})\s*\)$/);
+
+  // Browsers return the colors of inline styles as rgb() colors
+  if (rgb) {
+    return `#${rgb.slice(1).map(value => Math.min(value, 255).toString(16).padStart(2, '0')).join('')}`;
+  }
+
+  const match = color.trim().match(/^#?([\da-f]{3}|[\da-f]{6})$/i);
+
+  if (!match) {
+    return '';
+  }
+
+  const hex = match[1].length === 3 ? match[1].replace(/./g, '$&$&') : match[1];
+
+  return `#${hex.toLowerCase()}`;
+}
+
+export {
+  execColorCommand,
+  getActiveColor,
+  normalizeColor
+};
\ No newline at end of file
@@ -1,6 +1,17 @@
+import document from 'document';
 import toolset from './toolset.js';
-import { restoreSelection } from './utils.js';
-import { execCommand } from './shortcuts.js';
+import { redo, undo } from './history.js';
+import { openShortcutDialog } from './keybindings.js';
+import { execTableCommand } from './table.js';
+import { isReadOnly } from './readonly.js';
+import { instances } from './common.js';
+import { isAllowedUrl } from './filter.js';
+import { triggerHook } from './hooks.js';
+import { toggleSourceView } from './source.js';
+import { toggleFullscreen } from './fullscreen.js';
+import { execColorCommand } from './color.js';
+import { escapeHTML, findInstance, getInstanceId, restoreSelection } from './utils.js';
+import { dispatchEvent, execCommand } from './shortcuts.js';
 
 /**
  * Execute an action.
@@ -11,17 +22,33 @@ import { execCommand } from './shortcuts.js';
 export function execAction(action, editor, options = []) {
   const tool = toolset[action];
   
-  if (tool) {
+  // Read-only instances can't be modified
+  if (tool && !isReadOnly(editor)) {
     const command = tool.command || action;
 
+    // The action can be canceled
+    if (!triggerHook(editor, 'beforeCommand', { action, options })) {
+      return;
+    }
+
     // Restore selection if any
     restoreSelection();
 
-    // Execute the tool's action
-    execEditorCommand(command, options);
+    // Execute the tool's action (custom tools can provide their own)
+    if (tool.exec) {
+      tool.exec(editor, options);
+    } else if (tool.className) {
+      toggleClassName(editor, tool);
+    } else {
+      execEditorCommand(command, options, editor);
+    }
+
+    // Focus the editor instance unless a dialog was opened
+    if (!tool.hasDialog) {
+      editor.focus();
+    }
 
-    // Focus the editor instance
-    editor.focus();
+    triggerHook(editor, 'command', { action, options });
   }
 }
 
@@ -29,9 +56,38 @@ export function execAction(action, editor, options = []) {
  * Execute an editor command.
  * @param {string} command The command to execute.
  * @param {array} [options] Optional command parameters.
+ * @param {object} [editor] The editor instance.
  */
-export function execEditorCommand(command, options) {
+export function execEditorCommand(command, options, editor) {
   switch (command) {
+    // History
+    case 'undo':
+      undo(editor);
+      break;
+    case 'redo':
+      redo(editor);
+      break;
+
+    // Key bindings dialog
+    case 'shortcuts':
+      openShortcutDialog(editor);
+      break;
+
+    // HTML source view
+    case 'source':
+      toggleSourceView(editor);
+      break;
+
+    // Fullscreen mode
+    case 'fullscreen':
+      toggleFullscreen(editor);
+      break;
+
+    // Toggle plain text paste for the instance
+    case 'pasteAsPlainText':
+      setPlainTextPaste(editor, !instances[getInstanceId(editor)].pasteAsPlainText);
+      break;
+
     // Block level formatting
     case 'quote':
       options[0] = 'blockquote';
@@ -41,42 +97,181 @@ export function execEditorCommand(command, options) {
 
     // Links
     case 'link':
-      const [linkUrl, linkTarget = '', linkText] = options;
+      const [linkUrl, linkTarget = '', linkText, linkTitle = '', linkRel = ''] = options;
 
-      if (linkText) {
-        const targetAttr = linkTarget !== '' ? ` target="${linkTarget}"` : '';
-        const linkTag = `<a href="${linkUrl}"${targetAttr}>${linkText}</a>`;
+      if (linkText && isAllowedUrl(linkUrl, getAllowedProtocols(editor, 'a'))) {
+        const rel = getLinkRel(linkRel, linkTarget);
+        const targetAttr = linkTarget !== '' ? ` target="${escapeHTML(linkTarget)}"` : '';
+        const titleAttr = linkTitle !== '' ? ` title="${escapeHTML(linkTitle)}"` : '';
+        const relAttr = rel !== '' ? ` rel="${escapeHTML(rel)}"` : '';
+        const linkTag = `<a href="${escapeHTML(linkUrl)}"${targetAttr}${titleAttr}${relAttr}>${linkText}</a>`;
 
         execCommand('insertHTML', linkTag);
       }
       break;
 
-    // Images
-    case 'image':
-      const styles = [];
-      const [imageUrl, altText = '', size, position, originalHtml] = options;
+    // Text and highlight colors
+    case 'foreColor':
+    case 'highlight':
+      execColorCommand(editor, command, options[0]);
+      break;
 
-      if (size !== '') {
-        styles.push(`width: ${size};`);
-      }
+    // Tables
+    case 'table':
+      execTableCommand(editor, options);
+      break;
 
-      if (position !== '') {
-        if (position === 'center') {
-          styles.push('display: block; margin: auto;')
-        } else {
-          styles.push(`float: ${position};`);
-        }
+    // Images
+    case 'image':
+      if (!isAllowedUrl(options[0], getAllowedProtocols(editor, 'img'))) {
+        break;
       }
 
-      const styleAttr = styles.length > 0 ? ` style="${styles.join(' ')}"` : '';
-      const image = `<img src="${imageUrl}" alt="${altText}" class="wysi-selected"${styleAttr}>`;
+      const [, , imageSize = '', imagePosition = '', originalHtml, caption = ''] = options;
+      const image = buildImageTag(options);
       const imageTag = originalHtml ? originalHtml.replace(/<img[^>]+>/i, image) : image;
 
-      execCommand('insertHTML', imageTag);
+      // Captioned images are wrapped in a figure
+      execCommand('insertHTML', caption !== '' ? buildFigureTag(imageTag, caption, imageSize, imagePosition) : imageTag);
       break;
 
     // All the other commands
     default:
-      execCommand(command);
+      execCommand(command, options[0]);
   }
+}
+
+/**
+ * Build the HTML code of an image.
+ * @param {array} options The image parameters (URL, alternative text, size, position, original HTML and caption).
+ * @return {string} The image's HTML code.
+ */
+export function buildImageTag(options) {
+  const [imageUrl, altText = '', size = '', position = '', , caption = ''] = options;
+
+  // The figure of a captioned image is sized and positioned instead, and the image fills it
+  const styles = caption === '' ? getImageStyles(size, position) : (size !== '' ? 'width: 100%;' : '');
+  const styleAttr = styles !== '' ? ` style="${escapeHTML(styles)}"` : '';
+
+  return `<img src="${escapeHTML(imageUrl)}" alt="${escapeHTML(altText)}" class="wysi-selected"${styleAttr}>`;
+}
+
+/**
+ * Build the HTML code of a captioned image.
+ * @param {string} imageTag The image's HTML code (optionally wrapped in a link).
+ * @param {string} caption The caption.
+ * @param {string} [size] The figure's size.
+ * @param {string} [position] The figure's position.
+ * @return {string} The figure's HTML code.
+ */
+export function buildFigureTag(imageTag, caption, size = '', position = '') {
+  const styles = getImageStyles(size, position);
+  const styleAttr = styles !== '' ? ` style="${escapeHTML(styles)}"` : '';
+
+  return `<figure${styleAttr}>${imageTag}<figcaption>${escapeHTML(caption)}</figcaption></figure>`;
+}
+
+/**
+ * Get the CSS styles of an image's size and position.
+ * @param {string} size The size (e.g: 50%).
+ * @param {string} position The position (left, center or right).
+ * @return {string} The CSS styles.
+ */
+function getImageStyles(size, position) {
+  const styles = [];
+
+  if (size !== '') {
+    styles.push(`width: ${size};`);
+  }
+
+  if (position !== '') {
+    if (position === 'center') {
+      styles.push('display: block; margin: auto;')
+    } else {
+      styles.push(`float: ${position};`);
+    }
+  }
+
+  return styles.join(' ');
+}
+
+/**
+ * Get the relationship of a link.
+ * @param {string} rel The relationship values, separated by spaces (e.g: nofollow ugc).
+ * @param {string} target The link's target.
+ * @return {string} The values, with noopener and noreferrer added for links that open in a new tab.
+ */
+function getLinkRel(rel, target) {
+  const values = rel.split(/\s+/).filter(value => value !== '');
+
+  // Pages opened in a new tab can't access the page that opened them
+  if (target === '_blank') {
+    ['noopener', 'noreferrer'].forEach(value => {
+      if (!values.includes(value)) {
+        values.push(value);
+      }
+    });
+  }
+
+  return values.join(' ');
+}
+
+/**
+ * Find the element whose class is toggled by a class tool.
+ * @param {array} nodes The elements containing the selection (innermost first).
+ * @param {object} tool The tool.
+ * @return {object} The innermost element with one of the tool's tags, if any.
+ */
+export function findClassTarget(nodes, tool) {
+  return nodes.find(node => (tool.tags || []).includes(node.tagName.toLowerCase()));
+}
+
+/**
+ * Toggle the class of a class tool on the selected element.
+ * @param {object} editor The editor instance.
+ * @param {object} tool The tool.
+ */
+function toggleClassName(editor, tool) {
+  const { nodes } = findInstance(document.getSelection().anchorNode);
+  const target = findClassTarget(nodes, tool);
+
+  if (!target || target === editor || !editor.contains(target)) {
+    return;
+  }
+
+  target.classList.toggle(tool.className);
+
+  if (!target.classList.length) {
+    target.removeAttribute('class');
+  }
+
+  // Update the textarea and record the change in the history
+  dispatchEvent(editor, 'input');
+}
+
+/**
+ * Get the URL protocols allowed in a tag of an editor instance.
+ * @param {object} editor The editor element.
+ * @param {string} tag The tag name.
+ * @return {array} The allowed protocols.
+ */
+function getAllowedProtocols(editor, tag) {
+  const allowedTag = instances[getInstanceId(editor)].allowedTags[tag];
+
+  return allowedTag ? allowedTag.protocols : [];
+}
+
+/**
+ * Turn plain text paste on or off in an editor instance.
+ * @param {object} editor The editor instance.
+ * @param {boolean} enabled The new state.
+ */
+export function setPlainTextPaste(editor, enabled) {
+  const { toolbar } = findInstance(editor);
+
+  instances[getInstanceId(editor)].pasteAsPlainText = enabled;
+
+  toolbar.querySelectorAll('[data-action="pasteAsPlainText"]').forEach(button => {
+    button.setAttribute('aria-pressed', enabled);
+  });
 }
\ No newline at end of file
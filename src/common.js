@@ -7,11 +7,17 @@ export const selectedClass = 'wysi-selected';
 // Placeholder elements CSS class
 export const placeholderClass = 'wysi-fragment-placeholder';
 
+// The CSS class of instances showing their HTML source
+export const sourceViewClass = 'wysi-source-view';
+
 // Heading elements
 export const headingElements = ['H1', 'H2', 'H3', 'H4'];
 
 // Block type HTML elements
-export const blockElements = ['BLOCKQUOTE', 'HR', 'P', 'OL', 'UL'].concat(headingElements);
+export const blockElements = ['BLOCKQUOTE', 'FIGURE', 'HR', 'P', 'OL', 'UL', 'TABLE'].concat(headingElements);
 
 // Detect Firefox browser
-export const isFirefox = navigator.userAgent.search(/Gecko\//) > -1;
\ No newline at end of file
+export const isFirefox = navigator.userAgent.search(/Gecko\//) > -1;
+
+// Detect Apple platforms (for keyboard shortcuts)
+export const isApple = /Mac|iPhone|iPad|iPod/.test(navigator.platform);
\ No newline at end of file
@@ -3,6 +3,22 @@ import document from 'document';
 import settings from './settings.js';
 import { renderToolbar } from './toolbar.js';
 import { enableTags, prepareContent } from './filter.js';
+import { clearHistory, initHistory, recordHistory } from './history.js';
+import { getKeyBindings } from './keybindings.js';
+import { fromMarkdown, toMarkdown } from './markdown.js';
+import { getInputRules } from './inputrules.js';
+import { clearReadOnly, initReadOnly, updateReadOnly } from './readonly.js';
+import { setPlaceholder } from './placeholder.js';
+import { limitContent, limitText, setCounter, updateCounter } from './counter.js';
+import './drop.js';
+import { setPlainTextPaste } from './commands.js';
+import { normalizePastedContent } from './normalize.js';
+import { registerTool } from './plugins.js';
+import { triggerHook } from './hooks.js';
+import { toggleFullscreen } from './fullscreen.js';
+import { setTheme } from './theme.js';
+import { pasteLink } from './autolink.js';
+import { closeSourceView, getSourceContent, isSourceView } from './source.js';
 import {
   instances,
   placeholderClass,
@@ -12,6 +28,7 @@ import {
 } from './common.js';
 import { 
   addListener,
+  buildFragment,
   cloneObject,
   createElement,
   DOMReady,
@@ -19,7 +36,9 @@ import {
   getInstanceId,
   getTargetElements,
   getTextAreaLabel,
-  storeTranslations
+  isEditorEmpty,
+  storeTranslations,
+  textToHTML
 } from './utils.js';
 import {
   dispatchEvent,
@@ -30,9 +49,22 @@ import {
 // Next available instance id
 let nextId = 0;
 
+// Instance handles by textarea element
+const handles = new WeakMap();
+
+// The next paste is converted to plain text
+let isPlainTextPaste = false;
+
+// An instance is being rebuilt, which is neither a destruction nor an initialization
+let isRebuilding = false;
+
+// Options that require rebuilding an instance when they are reconfigured
+const rebuildOptions = ['tools', 'customTags', 'shortcuts', 'inputRules', 'translations', 'allowedProtocols', 'allowDataImages', 'formOptions', 'allowedClasses'];
+
 /**
  * Init WYSIWYG editor instances.
  * @param {object} options Configuration options.
+ * @return {array} The handles of the editor instances.
  */
 function init(options) {
   const globalTranslations = window.wysiGlobalTranslations || {};
@@ -44,8 +76,9 @@ function init(options) {
   const tools = options.tools || settings.tools;
   const selector = options.el || settings.el;
   const targetEls = getTargetElements(selector);
-  const toolbar = renderToolbar(tools);
-  const allowedTags = enableTags(tools);
+  const keyBindings = getKeyBindings(tools, options.shortcuts);
+  const toolbar = renderToolbar(tools, keyBindings, options.formOptions);
+  const allowedTags = enableTags(tools, options.formOptions);
   const customTags = options.customTags || [];
 
   // Add custom tags if any to the allowed tags list
@@ -61,6 +94,22 @@ function init(options) {
     }
   });
 
+  // Allow CSS classes in the tags that are already allowed
+  const allowedClasses = options.allowedClasses || settings.allowedClasses;
+
+  for (const tag in allowedClasses) {
+    if (allowedTags[tag]) {
+      allowedTags[tag].classes = (allowedTags[tag].classes || []).concat(allowedClasses[tag]);
+    }
+  }
+
+  // Restrict the URL protocols of links and images
+  const protocols = options.allowedProtocols || settings.allowedProtocols;
+
+  for (const tag in allowedTags) {
+    allowedTags[tag].protocols = tag === 'img' && options.allowDataImages ? protocols.concat('data') : protocols;
+  }
+
   // Append an editor instance to target elements
   targetEls.forEach(field => {
     const sibling = field.previousElementSibling;
@@ -68,17 +117,26 @@ function init(options) {
     if (!sibling || !hasClass(sibling, 'wysi-wrapper')) {
       const instanceId = nextId++;
 
-      // Store the instance's options 
-      instances[instanceId] = options;
+      // Store a copy of the instance's options
+      instances[instanceId] = Object.assign({}, options);
 
       // Cache the list of allowed tags in the instance
       instances[instanceId].allowedTags = cloneObject(allowedTags);
 
+      // Cache the key bindings of the instance's tools
+      instances[instanceId].keyBindings = keyBindings;
+
+      // Cache the input rules that apply to the instance
+      instances[instanceId].activeInputRules = getInputRules(options.inputRules, allowedTags);
+
       // Wrapper
       const wrapper = createElement('div', {
         class: 'wysi-wrapper'
       });
 
+      // Markdown content needs to be converted to HTML first
+      const content = options.outputFormat === 'markdown' ? fromMarkdown(field.value) : field.value;
+
       // Editable region
       const editor = createElement('div', {
         class: 'wysi-editor',
@@ -87,9 +145,12 @@ function init(options) {
         'aria-multiline': true,
         'aria-label': getTextAreaLabel(field),
         'data-wid': instanceId,
-        _innerHTML: prepareContent(field.value, allowedTags)
+        _innerHTML: prepareContent(content, allowedTags)
       });      
 
+      // Show the textarea's placeholder text unless there's a custom one
+      setPlaceholder(editor, options.placeholder || field.placeholder);
+
       // Insert the editor instance in the document
       wrapper.appendChild(toolbar.cloneNode(true));
       wrapper.appendChild(editor);
@@ -98,11 +159,24 @@ function init(options) {
       // Apply configuration
       configure(wrapper, options);
 
+      // Start recording the instance's history
+      initHistory(editor);
+
+      // Follow the textarea's disabled and readonly attributes
+      initReadOnly(editor, field);
+
+      if (!isRebuilding) {
+        triggerHook(editor, 'init', { handle: getHandle(field) });
+      }
+
     // Reconfigure instance
     } else {
+      Object.assign(instances[getInstanceId(findInstance(sibling).editor)], options);
       configure(sibling, options);
     }
   });
+
+  return targetEls.map(getHandle);
 }
 
 /**
@@ -115,9 +189,17 @@ function configure(instance, options) {
     return;
   }
 
+  const { editor } = findInstance(instance);
+
   for (const key in options) {
     switch (key) {
+      case 'theme':
       case 'darkMode':
+      case 'darkModeSelector':
+        const { theme, darkMode, darkModeSelector } = instances[getInstanceId(editor)];
+
+        setTheme(instance, theme, darkMode, darkModeSelector);
+        break;
       case 'autoGrow':
       case 'autoHide':
         instance.classList.toggle(`wysi-${key.toLowerCase()}`, !!options[key]);
@@ -126,33 +208,160 @@ function configure(instance, options) {
         const height = options.height;
 
         if (!isNaN(height)) {
-          const editor = instance.lastChild;
-
           editor.style.minHeight = `${height}px`;
           editor.style.maxHeight = `${height}px`;
         }
         break;
+      case 'readOnly':
+        updateReadOnly(editor);
+        break;
+      case 'placeholder':
+        setPlaceholder(editor, options.placeholder || instance.nextElementSibling.placeholder);
+        break;
+      case 'pasteAsPlainText':
+        setPlainTextPaste(editor, !!options.pasteAsPlainText);
+        break;
+      case 'counter':
+        setCounter(editor, options.counter);
+        break;
+      case 'maxLength':
+        updateCounter(editor);
+        break;
     }
   }
 }
 
 /**
  * Destroy a WYSIWYG editor instance.
- * @param {string} selector One or more selectors pointing to textarea fields.
+ * @param {(string|object)} selector One or more selectors pointing to textarea fields.
  */
 function destroy(selector) {
-  document.querySelectorAll(selector).forEach(field => {
+  getTargetElements(selector).forEach(field => {
     const sibling = field.previousElementSibling;
 
     if (sibling && hasClass(sibling, 'wysi-wrapper')) {
-      const instanceId = getInstanceId(sibling.lastChild);
+      const { editor } = findInstance(sibling);
+      const instanceId = getInstanceId(editor);
+
+      if (!isRebuilding) {
+        triggerHook(editor, 'destroy');
+      }
+
+      // Unlock the page's scrolling
+      toggleFullscreen(editor, false);
 
       delete instances[instanceId];
+      clearHistory(instanceId);
+      clearReadOnly(instanceId);
       sibling.remove();
     }
   });
 }
 
+/**
+ * Find the editor element attached to a textarea field.
+ * @param {object} field The textarea field.
+ * @return {object} The editor element, or null if the field has no editor instance.
+ */
+function getFieldEditor(field) {
+  const sibling = field.previousElementSibling;
+
+  return sibling && hasClass(sibling, 'wysi-wrapper') ? findInstance(sibling).editor : null;
+}
+
+/**
+ * Get the handle of the editor instance attached to a textarea field.
+ * @param {object} field The textarea field.
+ * @return {object} The instance handle.
+ */
+function getHandle(field) {
+  if (!handles.has(field)) {
+    handles.set(field, createHandle(field));
+  }
+
+  return handles.get(field);
+}
+
+/**
+ * Create the handle of an editor instance.
+ * @param {object} field The instance's textarea field.
+ * @return {object} The instance handle.
+ */
+function createHandle(field) {
+  // Methods that need the editor do nothing once the instance is destroyed
+  const withEditor = fn => (...args) => {
+    const editor = getFieldEditor(field);
+
+    return editor ? fn(editor, ...args) : undefined;
+  };
+
+  return {
+    getContent: () => field.value,
+    setContent: withEditor((editor, html) => {
+      const { allowedTags } = instances[getInstanceId(editor)];
+
+      editor.innerHTML = prepareContent(html || '', allowedTags);
+
+      // Update the textarea and record the change in the history
+      dispatchEvent(editor, 'input');
+    }),
+    focus: withEditor(editor => editor.focus()),
+    blur: withEditor(editor => editor.blur()),
+    isEmpty: withEditor(isEditorEmpty),
+    getTextarea: () => field,
+    reconfigure: withEditor((editor, options) => reconfigure(field, editor, options || {})),
+    setReadOnly: withEditor((editor, readOnly) => reconfigure(field, editor, { readOnly: !!readOnly })),
+    toggleFullscreen: withEditor((editor, enabled) => toggleFullscreen(editor, enabled)),
+    destroy: () => destroy(field)
+  };
+}
+
+/**
+ * Change the options of an existing editor instance.
+ * @param {object} field The instance's textarea field.
+ * @param {object} editor The instance's editor element.
+ * @param {object} options The new configuration options.
+ */
+function reconfigure(field, editor, options) {
+  const instance = instances[getInstanceId(editor)];
+
+  // Apply the edited HTML source before the content is serialized again
+  if (isSourceView(editor)) {
+    closeSourceView(editor);
+  }
+
+  Object.assign(instance, options);
+
+  // Tools, key bindings and allowed tags are set up once, so rebuild the instance
+  if (rebuildOptions.some(key => key in options)) {
+    field.value = serializeContent(editor);
+    isRebuilding = true;
+    destroy(field);
+    init(Object.assign({}, instance, { el: field }));
+    isRebuilding = false;
+  } else {
+    configure(editor.parentNode, options);
+
+    // Rewrite the textarea's content in the new format
+    if ('outputFormat' in options) {
+      dispatchEvent(editor, 'input');
+    }
+  }
+}
+
+/**
+ * Get the content of an editor instance in its output format.
+ * @param {object} editor The editor element.
+ * @param {string} [content] The HTML content to serialize (the editor's content by default).
+ * @return {string} The filtered HTML or Markdown content.
+ */
+function serializeContent(editor, content) {
+  const { outputFormat, allowedTags } = instances[getInstanceId(editor)];
+  const html = prepareContent(content !== undefined ? content : editor.innerHTML, allowedTags, true);
+
+  return outputFormat === 'markdown' ? toMarkdown(html) : html;
+}
+
 /**
  * Clean up content before pasting it in an editor.
  * @param {object} event The browser's paste event.
@@ -160,12 +369,45 @@ function destroy(selector) {
 function cleanPastedContent(event) {
   const { editor, nodes } = findInstance(event.target);
   const clipboardData = event.clipboardData;
+  const asPlainText = isPlainTextPaste || (editor && instances[getInstanceId(editor)].pasteAsPlainText);
+
+  isPlainTextPaste = false;
+
+  if (!editor) {
+    return;
+  }
 
-  if (editor && clipboardData.types.includes('text/html')) {
-    const pasted = clipboardData.getData('text/html');
+  const types = clipboardData.types;
+  const type = types.includes('text/html') && !asPlainText ? 'html' : types.includes('text/plain') ? 'text' : '';
+
+  if (!type) {
+    return;
+  }
+
+  const paste = {
+    content: clipboardData.getData(type === 'html' ? 'text/html' : 'text/plain'),
+    type
+  };
+
+  // The pasted content can be rewritten, or the paste canceled
+  if (!triggerHook(editor, 'beforePaste', paste, 'content')) {
+    event.preventDefault();
+    return;
+  }
+
+  // A web address pasted over a selection turns it into a link (unless the content is pasted as plain text)
+  const pastedText = type === 'html' ? buildFragment(paste.content).textContent : paste.content;
+
+  if (!asPlainText && pasteLink(editor, pastedText)) {
+    event.preventDefault();
+    return;
+  }
+
+  if (type === 'html') {
+    const pasted = paste.content;
     const instanceId = getInstanceId(editor);
     const allowedTags = instances[instanceId].allowedTags;
-    let content = prepareContent(pasted, allowedTags);
+    let content = limitContent(editor, prepareContent(normalizePastedContent(pasted), allowedTags));
 
     // Detect a heading tag in the current selection
     const splitHeadingTag = nodes.filter(n => headingElements.includes(n.tagName)).length > 0;
@@ -194,10 +436,21 @@ function cleanPastedContent(event) {
           heading.replaceWith(...heading.childNodes);
         }
       });
+
+      // Replace the history snapshot taken before the fixes above
+      recordHistory(editor, 'insertFromPaste', true);
     }
 
     // Prevent the default paste action
     event.preventDefault();
+
+  // Convert plain text line breaks to paragraphs and line breaks
+  } else {
+    const text = limitText(editor, paste.content);
+    const allowedTags = instances[getInstanceId(editor)].allowedTags;
+
+    execCommand('insertHTML', prepareContent(textToHTML(text), allowedTags, true));
+    event.preventDefault();
   }
 }
 
@@ -216,20 +469,40 @@ function bootstrap() {
   addListener(document, 'input', '.wysi-editor', event => {
     const editor = event.target;
     const textarea = editor.parentNode.nextElementSibling;
-    const instanceId = getInstanceId(editor);
-    const onChange = instances[instanceId].onChange;
-    const content = prepareContent(editor.innerHTML, instances[instanceId].allowedTags, true);
+    const content = serializeContent(editor);
 
     textarea.value = content;
     dispatchEvent(textarea, 'change');
+    triggerHook(editor, 'change', { content });
+  });
 
-    if (onChange) {
-      onChange(content);
-    }
+  // Also update it while the HTML source is edited (e.g: in case the form is submitted before the source view is closed)
+  addListener(document, 'input', '.wysi-source', event => {
+    const editor = event.target.previousElementSibling;
+    const textarea = editor.parentNode.nextElementSibling;
+    const content = serializeContent(editor, getSourceContent(editor));
+
+    textarea.value = content;
+    dispatchEvent(textarea, 'change');
+    triggerHook(editor, 'change', { content });
+  });
+
+  // Notify focus changes
+  addListener(document, 'focusin', '.wysi-editor', event => {
+    triggerHook(event.target, 'focus');
+  });
+
+  addListener(document, 'focusout', '.wysi-editor', event => {
+    triggerHook(event.target, 'blur');
   });
 
   // Clean up pasted content
   addListener(document, 'paste', cleanPastedContent);
+
+  // Paste as plain text with Ctrl+Shift+V
+  addListener(document, 'keydown', '.wysi-editor', event => {
+    isPlainTextPaste = (event.ctrlKey || event.metaKey) && event.shiftKey && event.code === 'KeyV';
+  });
 }
 
 // Expose Wysi to the global scope
@@ -239,9 +512,14 @@ window.Wysi = (() => {
   };
 
   function Wysi(options) {
+    const instanceHandles = [];
+
+    // The handles are added once the DOM is ready
     DOMReady(() => {
-      init(options || {});
+      instanceHandles.push(...init(options || {}));
     });
+
+    return instanceHandles;
   }
 
   for (const key in methods) {
@@ -250,6 +528,20 @@ window.Wysi = (() => {
     };
   }
 
+  // Get the handle of an existing editor instance
+  Wysi.get = selector => {
+    const field = getTargetElements(selector)[0];
+
+    return field && getFieldEditor(field) ? getHandle(field) : null;
+  };
+
+  // Custom tools
+  Wysi.registerTool = registerTool;
+
+  // Markdown conversion helpers
+  Wysi.toMarkdown = toMarkdown;
+  Wysi.fromMarkdown = fromMarkdown;
+
   return Wysi;
 })();
 
@@ -0,0 +1,290 @@
+import window from 'window';
+import document from 'document';
+import { instances, blockElements } from './common.js';
+import {
+  addListener,
+  buildFragment,
+  createElement,
+  getFragmentContent,
+  getInstanceId,
+  getTranslation
+} from './utils.js';
+import { triggerHook } from './hooks.js';
+import { dispatchEvent } from './shortcuts.js';
+
+// The CSS class of the counter footer
+const counterClass = 'wysi-counter';
+
+// Elements that separate words in the text content
+const wordSeparators = blockElements.concat(['LI', 'TD', 'TH', 'BR', 'DIV']);
+
+// Input types that insert text and can be blocked when the length limit is reached
+const limitedInputTypes = ['insertText', 'insertReplacementText', 'insertFromDrop', 'insertFromYank'];
+
+/**
+ * Show or hide the counter of an editor instance.
+ * @param {object} editor The editor element.
+ * @param {(boolean|string)} type What to count ('characters', 'words', true for both, or false to hide the counter).
+ */
+function setCounter(editor, type) {
+  let counter = getCounter(editor);
+
+  if (!type) {
+    if (counter) {
+      counter.remove();
+    }
+
+    return;
+  }
+
+  if (!counter) {
+    counter = createElement('div', { class: counterClass });
+
+    // Place the counter at the bottom of the instance, after the HTML source view if it's open
+    editor.parentNode.appendChild(counter);
+  }
+
+  updateCounter(editor);
+}
+
+/**
+ * Get the counter footer of an editor instance.
+ * @param {object} editor The editor element.
+ * @return {object} The counter element, or null if the counter is hidden.
+ */
+function getCounter(editor) {
+  // The counter is not always next to the editor (e.g: while the HTML source view is open)
+  return editor.parentNode.querySelector(`.${counterClass}`);
+}
+
+/**
+ * Update the counter of an editor instance.
+ * @param {object} editor The editor element.
+ */
+function updateCounter(editor) {
+  const counter = getCounter(editor);
+  const instance = instances[getInstanceId(editor)];
+
+  if (!counter || !instance) {
+    return;
+  }
+
+  const type = instance.counter;
+  const maxLength = getMaxLength(editor);
+  const length = getTextLength(editor);
+  const counts = [];
+
+  if (type !== 'words') {
+    counts.push(`${length}${maxLength ? `/${maxLength}` : ''} ${getTranslation('counter', 'characters')}`);
+  }
+
+  if (type !== 'characters') {
+    counts.push(`${countWords(editor)} ${getTranslation('counter', 'words')}`);
+  }
+
+  counter.textContent = counts.join(' · ');
+  counter.classList.toggle('wysi-exceeded', maxLength > 0 && length > maxLength);
+}
+
+/**
+ * Get the maximum length of an editor instance's text content.
+ * @param {object} editor The editor element.
+ * @return {number} The maximum length, or 0 if the length is not limited.
+ */
+function getMaxLength(editor) {
+  const instance = instances[getInstanceId(editor)];
+  const field = editor.parentNode.nextElementSibling;
+
+  if (instance && instance.maxLength > 0) {
+    return instance.maxLength;
+  }
+
+  return field && field.maxLength > 0 ? field.maxLength : 0;
+}
+
+/**
+ * Get the length of an editor instance's text content.
+ * @param {object} editor The editor element.
+ * @return {number} The number of characters.
+ */
+function getTextLength(editor) {
+  return editor.textContent.length;
+}
+
+/**
+ * Count the words in an editor instance's text content.
+ * @param {object} editor The editor element.
+ * @return {number} The number of words.
+ */
+function countWords(editor) {
+  const walker = document.createTreeWalker(editor, window.NodeFilter.SHOW_ELEMENT | window.NodeFilter.SHOW_TEXT);
+  let text = '';
+
+  // Text in separate blocks belongs to separate words
+  while (walker.nextNode()) {
+    const node = walker.currentNode;
+
+    if (node.nodeType === 3) {
+      text += node.data;
+    } else if (wordSeparators.includes(node.tagName)) {
+      text += ' ';
+    }
+  }
+
+  return (text.match(/\S+/g) || []).length;
+}
+
+/**
+ * Get the number of characters that can still be inserted in an editor instance.
+ * @param {object} editor The editor element.
+ * @return {number} The number of characters (the selected text can be replaced).
+ */
+function getAvailableLength(editor) {
+  const maxLength = getMaxLength(editor);
+  const selection = document.getSelection();
+  let selected = 0;
+
+  if (!maxLength) {
+    return Infinity;
+  }
+
+  if (selection && selection.rangeCount && editor.contains(selection.anchorNode)) {
+    selected = selection.getRangeAt(0).toString().length;
+  }
+
+  return Math.max(0, maxLength - getTextLength(editor) + selected);
+}
+
+/**
+ * Truncate a text to fit in an editor instance.
+ * @param {object} editor The editor element.
+ * @param {string} text The text to insert.
+ * @return {string} The truncated text.
+ */
+function limitText(editor, text) {
+  const available = getAvailableLength(editor);
+
+  if (text.length > available) {
+    notifyLimit(editor);
+    return text.substring(0, available);
+  }
+
+  return text;
+}
+
+/**
+ * Truncate HTML content to fit in an editor instance.
+ * @param {object} editor The editor element.
+ * @param {string} html The HTML content to insert.
+ * @return {string} The truncated HTML content.
+ */
+function limitContent(editor, html) {
+  const fragment = buildFragment(html);
+  let available = getAvailableLength(editor);
+
+  if (fragment.textContent.length <= available) {
+    return html;
+  }
+
+  if (!available) {
+    notifyLimit(editor);
+    return '';
+  }
+
+  const walker = document.createTreeWalker(fragment, window.NodeFilter.SHOW_TEXT);
+  let node;
+
+  // Find the text node containing the last character that fits
+  while ((node = walker.nextNode()) && node.length <= available) {
+    available -= node.length;
+  }
+
+  // Remove everything after that character
+  const range = node.ownerDocument.createRange();
+
+  range.setStart(node, available);
+  range.setEndAfter(fragment.lastChild);
+  range.deleteContents();
+
+  notifyLimit(editor);
+
+  return getFragmentContent(fragment);
+}
+
+/**
+ * Trigger the limit hook of an editor instance when the length limit is first reached.
+ * @param {object} editor The editor element.
+ */
+function notifyLimit(editor) {
+  const instance = instances[getInstanceId(editor)];
+
+  // The hook is triggered again only once the content gets shorter than the limit
+  if (!instance || instance.isLimitReached) {
+    return;
+  }
+
+  instance.isLimitReached = true;
+  triggerHook(editor, 'limit', { length: getTextLength(editor), maxLength: getMaxLength(editor) });
+}
+
+// Prevent typing once the length limit is reached
+addListener(document, 'beforeinput', '.wysi-editor', event => {
+  const editor = event.target;
+
+  if (!limitedInputTypes.includes(event.inputType)) {
+    return;
+  }
+
+  const dataTransfer = event.dataTransfer;
+  const text = event.data || (dataTransfer ? dataTransfer.getData('text/plain') : '');
+
+  if (text.length > getAvailableLength(editor)) {
+    event.preventDefault();
+    notifyLimit(editor);
+  }
+});
+
+// Update the counter when the content changes
+addListener(document, 'input', '.wysi-editor', event => {
+  const editor = event.target;
+  const maxLength = getMaxLength(editor);
+
+  updateCounter(editor);
+
+  if (maxLength && getTextLength(editor) >= maxLength) {
+    notifyLimit(editor);
+  } else if (instances[getInstanceId(editor)]) {
+    instances[getInstanceId(editor)].isLimitReached = false;
+  }
+});
+
+// Text entered with an input method (IME) can't be blocked, so the excess is removed once it's committed
+addListener(document, 'compositionend', '.wysi-editor', event => {
+  const editor = event.target;
+  const maxLength = getMaxLength(editor);
+  const excess = maxLength ? getTextLength(editor) - maxLength : 0;
+  const selection = document.getSelection();
+
+  if (excess <= 0 || !selection.rangeCount) {
+    return;
+  }
+
+  const range = selection.getRangeAt(0);
+  const node = range.endContainer;
+
+  // Remove the last characters before the caret
+  if (node.nodeType === 3 && editor.contains(node)) {
+    range.setStart(node, Math.max(0, range.endOffset - excess));
+    range.deleteContents();
+  }
+
+  // The DOM was modified directly, so notify the other components of the change
+  dispatchEvent(editor, 'input');
+});
+
+export {
+  limitContent,
+  limitText,
+  setCounter,
+  updateCounter
+};
\ No newline at end of file
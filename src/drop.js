@@ -0,0 +1,178 @@
+import window from 'window';
+import document from 'document';
+import { instances } from './common.js';
+import { prepareContent } from './filter.js';
+import { fromMarkdown } from './markdown.js';
+import { normalizePastedContent } from './normalize.js';
+import { limitContent } from './counter.js';
+import { isReadOnly } from './readonly.js';
+import { canUploadImages, getImageFiles, uploadImages } from './upload.js';
+import {
+  addListener,
+  findInstance,
+  getInstanceId,
+  getRangeFromPoint,
+  setSelection,
+  textToHTML
+} from './utils.js';
+import { execCommand } from './shortcuts.js';
+
+// Document files that can be imported by dropping them in an editor
+const importedFileTypes = {
+  html: /\.html?$/i,
+  markdown: /\.(md|markdown)$/i,
+  text: /\.txt$/i
+};
+
+// The editor from which content is currently being dragged
+let dragSource;
+
+/**
+ * Get the type of an importable document file.
+ * @param {object} file The file.
+ * @return {string} The file type (html, markdown or text), or undefined if the file can't be imported.
+ */
+function getImportedFileType(file) {
+  return Object.keys(importedFileTypes).find(type => importedFileTypes[type].test(file.name));
+}
+
+/**
+ * Read a text file.
+ * @param {object} file The file.
+ * @return {object} A promise of the file's content.
+ */
+function readFile(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new window.FileReader();
+
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(file);
+  });
+}
+
+/**
+ * Convert the content of a dropped document to HTML.
+ * @param {string} content The document's content.
+ * @param {string} type The document type (html, markdown or text).
+ * @return {string} The HTML content.
+ */
+function convertToHTML(content, type) {
+  switch (type) {
+    case 'html':
+      // Only keep the body of complete documents
+      return new window.DOMParser().parseFromString(content, 'text/html').body.innerHTML;
+    case 'markdown':
+      return fromMarkdown(content);
+    default:
+      return textToHTML(content);
+  }
+}
+
+/**
+ * Filter HTML content and insert it in an editor instance.
+ * @param {object} editor The editor element.
+ * @param {object} range Where to insert the content.
+ * @param {string} html The HTML content.
+ */
+function insertDroppedContent(editor, range, html) {
+  const { allowedTags } = instances[getInstanceId(editor)];
+
+  editor.focus();
+  setSelection(range);
+  execCommand('insertHTML', limitContent(editor, prepareContent(normalizePastedContent(html), allowedTags)));
+}
+
+/**
+ * Import document files in an editor instance.
+ * @param {object} editor The editor element.
+ * @param {object} range Where to insert the content.
+ * @param {array} files The document files.
+ */
+function importFiles(editor, range, files) {
+  // Files that can't be read are skipped
+  Promise.all(files.map(file => readFile(file).catch(() => null))).then(contents => {
+    const html = contents.map((content, i) => content !== null ? convertToHTML(content, getImportedFileType(files[i])) : '').join('');
+
+    if (html && editor.isConnected) {
+      insertDroppedContent(editor, range, html);
+    }
+  });
+}
+
+// Keep track of content dragged from an editor
+addListener(document, 'dragstart', '.wysi-editor, .wysi-editor *', event => {
+  dragSource = findInstance(event.target).editor;
+});
+
+addListener(document, 'dragend', event => {
+  dragSource = undefined;
+});
+
+// Allow dropping files in editors, but nothing in read-only editors
+addListener(document, 'dragover', '.wysi-editor, .wysi-editor *', event => {
+  const { editor } = findInstance(event.target);
+  const dataTransfer = event.dataTransfer;
+
+  if (!editor || !dataTransfer) {
+    return;
+  }
+
+  if (isReadOnly(editor)) {
+    dataTransfer.dropEffect = 'none';
+    event.preventDefault();
+  } else if (dataTransfer.types.includes('Files')) {
+    dataTransfer.dropEffect = 'copy';
+    event.preventDefault();
+  }
+});
+
+// Filter dropped content
+addListener(document, 'drop', '.wysi-editor, .wysi-editor *', event => {
+  const { editor } = findInstance(event.target);
+  const dataTransfer = event.dataTransfer;
+
+  // Content moved within the same editor is already filtered
+  if (!editor || !dataTransfer || dragSource === editor) {
+    return;
+  }
+
+  if (isReadOnly(editor)) {
+    event.preventDefault();
+    return;
+  }
+
+  const files = Array.from(dataTransfer.files || []);
+  const documents = files.filter(getImportedFileType);
+  const canUpload = canUploadImages(editor) && getImageFiles(files).length > 0;
+  const html = dataTransfer.getData('text/html');
+  const text = dataTransfer.getData('text/plain');
+
+  // Ignore files that can be neither imported nor uploaded (browsers would insert local image URLs or open the files)
+  if (files.length && !documents.length && !canUpload) {
+    event.preventDefault();
+    return;
+  }
+
+  // Move the caret to the drop position
+  const range = getRangeFromPoint(event.clientX, event.clientY);
+
+  if (!range || !editor.contains(range.startContainer)) {
+    return;
+  }
+
+  setSelection(range);
+  event.preventDefault();
+
+  if (files.length) {
+    if (canUpload) {
+      uploadImages(editor, files);
+    }
+
+    if (documents.length) {
+      importFiles(editor, range, documents);
+    }
+  } else if (html || text) {
+    insertDroppedContent(editor, range, html || textToHTML(text));
+  }
+});
\ No newline at end of file
@@ -0,0 +1,108 @@
+import document from 'document';
+import { addListener, createElement, setSelection } from './utils.js';
+import { isReadOnly } from './readonly.js';
+import { dispatchEvent } from './shortcuts.js';
+
+/**
+ * Find the figure of a captioned image.
+ * @param {object} image The image element.
+ * @return {object} The figure element, or null if the image has no caption.
+ */
+function findImageFigure(image) {
+  const figure = image.closest('figure');
+
+  return figure && figure.querySelector('figcaption') ? figure : null;
+}
+
+/**
+ * Get the caption containing the caret.
+ * @param {object} editor The editor element.
+ * @return {object} The caption element, if any.
+ */
+function getCurrentCaption(editor) {
+  const selection = document.getSelection();
+
+  if (!selection.rangeCount || !selection.isCollapsed) {
+    return null;
+  }
+
+  const node = selection.anchorNode;
+  const element = node.nodeType === 1 ? node : node.parentNode;
+  const caption = element.closest('figcaption');
+
+  return caption && editor.contains(caption) ? caption : null;
+}
+
+/**
+ * Remove the caption of an image, which takes over the size and position of its figure.
+ * @param {object} caption The caption element.
+ */
+function removeCaption(caption) {
+  const figure = caption.parentNode;
+  const image = figure.querySelector('img');
+  const styles = figure.getAttribute('style');
+  const paragraph = createElement('p');
+  const range = document.createRange();
+
+  caption.remove();
+
+  if (image && styles) {
+    image.setAttribute('style', styles);
+  } else if (image) {
+    image.removeAttribute('style');
+  }
+
+  paragraph.append(...figure.childNodes);
+  figure.replaceWith(paragraph);
+
+  // Place the caret after the image
+  range.selectNodeContents(paragraph);
+  range.collapse(false);
+  setSelection(range);
+}
+
+/**
+ * Add an empty paragraph after a figure, and move the caret to it.
+ * @param {object} figure The figure element.
+ */
+function leaveFigure(figure) {
+  const paragraph = createElement('p', { _innerHTML: '<br>' });
+  const range = document.createRange();
+
+  figure.after(paragraph);
+  range.setStart(paragraph, 0);
+  range.collapse(true);
+  setSelection(range);
+}
+
+// Remove an empty caption with Backspace, and leave a caption with Enter
+addListener(document, 'keydown', '.wysi-editor', event => {
+  const isBackspace = event.key === 'Backspace';
+  const isEnter = event.key === 'Enter' && !event.shiftKey;
+
+  if ((!isBackspace && !isEnter) || event.ctrlKey || event.altKey || event.metaKey) {
+    return;
+  }
+
+  const editor = event.target;
+  const caption = getCurrentCaption(editor);
+
+  if (!caption || isReadOnly(editor)) {
+    return;
+  }
+
+  if (isEnter) {
+    leaveFigure(caption.parentNode);
+  } else if (caption.textContent.trim() === '') {
+    removeCaption(caption);
+  } else {
+    return;
+  }
+
+  event.preventDefault();
+
+  // The DOM was modified directly, so notify the other components of the change
+  dispatchEvent(editor, 'input');
+});
+
+export { findImageFigure };
\ No newline at end of file
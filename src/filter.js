@@ -1,37 +1,89 @@
 import settings from './settings.js';
-import toolset from './toolset.js';
+import toolset, { getFormOptions } from './toolset.js';
 import { buildFragment, cloneObject, createElement } from './utils.js';
 import { blockElements } from './common.js';
 
 const STYLE_ATTRIBUTE = 'style';
+const CLASS_ATTRIBUTE = 'class';
 const ALIGN_ATTRIBUTE = 'align';
 
+// Elements that are removed along with their content
+const REMOVED_ELEMENTS = ['style', 'script'];
+
+// Attributes whose values are URLs
+const URL_ATTRIBUTES = ['href', 'src'];
+
+// Top-level domains of web addresses entered without a protocol (unlike file extensions, e.g: page.html)
+const WEB_DOMAINS = [
+  'com', 'org', 'net', 'edu', 'gov', 'mil', 'int', 'info', 'biz', 'io', 'co', 'dev', 'app', 'ai', 'me', 'tv',
+  'xyz', 'online', 'site', 'shop', 'blog', 'tech', 'eu', 'uk', 'us', 'ca', 'au', 'nz', 'de', 'fr', 'es', 'it',
+  'nl', 'be', 'ch', 'at', 'se', 'no', 'dk', 'fi', 'ie', 'pt', 'br', 'jp', 'cn', 'in', 'ru'
+];
+
 /**
  * Enable HTML tags belonging to a set of tools.
  * @param {array} tools A array of tool objects.
+ * @param {object} [formOptions] The form options of the instance's tools.
  * @return {object} The list of allowed tags.
  */
-function enableTags(tools) {
+function enableTags(tools, formOptions) {
   const allowedTags = cloneObject(settings.allowedTags);
+  const isClassTool = toolName => !!(toolset[toolName] && toolset[toolName].className);
 
-  tools.forEach(toolName => {
+  // Class tools are enabled last, since they only extend the tags allowed by the other tools
+  tools.filter(toolName => !isClassTool(toolName)).concat(tools.filter(isClassTool)).forEach(toolName => {
     const tool = cloneObject(toolset[toolName]);
 
-    if (!tool || !tool.tags) {
+    if (!tool || (!tool.tags && !tool.extraTags)) {
       return;
     }
 
     const isEmpty = !!tool.isEmpty;
+    const mainTags = tool.tags || [];
     const extraTags = tool.extraTags || [];
     const aliasList = tool.alias || [];
-    const alias = aliasList.length ? tool.tags[0] : undefined;
-    const tags = [...tool.tags, ...extraTags, ...aliasList];
+    const alias = aliasList.length ? mainTags[0] : undefined;
+    const tags = [...mainTags, ...extraTags, ...aliasList];
     const attributes = tool.attributes || [];
-    const styles = tool.styles || [];
+    const classPrefix = getFormOptions(toolName, formOptions).classPrefix;
+    let styles = tool.styles || [];
+    let classes = tool.className ? [tool.className] : [];
+
+    // Tools that output classes (e.g: foreColor) don't need their styles
+    if (classPrefix) {
+      classes = classes.concat(`${classPrefix}*`);
+      styles = [];
+    }
 
     tags.forEach(tag => {
-      allowedTags[tag] = { attributes, styles, alias, isEmpty };
-      
+      const allowedTag = allowedTags[tag];
+
+      // Tools that toggle a class (e.g: a lead paragraph) only allow their class in tags that are already allowed
+      if (tool.className) {
+        if (allowedTag) {
+          allowedTag.classes = mergeLists(allowedTag.classes || [], classes);
+        }
+
+        return;
+      }
+
+      // Tags shared by several tools (e.g: span) allow the attributes and styles of all of them
+      if (allowedTag) {
+        allowedTags[tag] = {
+          attributes: mergeLists(allowedTag.attributes, attributes),
+          styles: mergeLists(allowedTag.styles, styles),
+          classes: mergeLists(allowedTag.classes || [], classes),
+          alias: alias || allowedTag.alias,
+          isEmpty: isEmpty || allowedTag.isEmpty
+        };
+
+        if (allowedTag.toolName) {
+          allowedTags[tag].toolName = allowedTag.toolName;
+        }
+      } else {
+        allowedTags[tag] = { attributes, styles, classes, alias, isEmpty };
+      }
+
       if (!extraTags.includes(tag)) {
         allowedTags[tag].toolName = toolName;
       }
@@ -41,18 +93,29 @@ function enableTags(tools) {
   return allowedTags;
 }
 
+/**
+ * Merge two lists without duplicates.
+ * @param {array} list The first list.
+ * @param {array} items The items to add.
+ * @return {array} The merged list.
+ */
+function mergeLists(list, items) {
+  return list.concat(items.filter(item => !list.includes(item)));
+}
+
 /**
  * Prepare raw content for editing.
  * @param {string} content The raw content.
  * @param {array} allowedTags The list of allowed tags.
  * @param {boolean} filterOnly If true, only filter the content, without further cleaning.
+ * @param {object} [stripped] If set, the names of the removed tags and attributes are added to its tags and attributes arrays.
  * @return {string} The filtered HTML content.
  */
-function prepareContent(content, allowedTags, filterOnly) {
+function prepareContent(content, allowedTags, filterOnly, stripped) {
   const container = createElement('div');
   const fragment = buildFragment(content);
 
-  filterContent(fragment, allowedTags);
+  filterContent(fragment, allowedTags, stripped);
 
   if (!filterOnly) {
     wrapTextNodes(fragment);
@@ -124,12 +187,50 @@ function filterStyles(node, allowedStyles) {
   }
 }
 
+/**
+ * Remove unsupported CSS classes from a node.
+ * @param {object} node The element to filter.
+ * @param {array} allowedClasses An array of supported class names and patterns.
+ * @param {object} [stripped] Where to keep track of the removed attributes.
+ */
+function filterClasses(node, allowedClasses, stripped) {
+  Array.from(node.classList).forEach(className => {
+    if (!isAllowedClass(className, allowedClasses)) {
+      node.classList.remove(className);
+      addStripped(stripped, 'attributes', CLASS_ATTRIBUTE);
+    }
+  });
+
+  if (!node.classList.length) {
+    node.removeAttribute(CLASS_ATTRIBUTE);
+  }
+}
+
+/**
+ * Check if a CSS class matches a list of class names and patterns.
+ * @param {string} className The class name.
+ * @param {array} allowedClasses Class names, and patterns where * matches any characters (e.g: btn-*).
+ * @return {boolean} True if the class is allowed.
+ */
+function isAllowedClass(className, allowedClasses) {
+  return allowedClasses.some(pattern => {
+    if (!pattern.includes('*')) {
+      return pattern === className;
+    }
+
+    const parts = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+
+    return new RegExp(`^${parts.join('.*')}$`).test(className);
+  });
+}
+
 /**
  * Remove unsupported HTML tags and attributes.
  * @param {object} node The parent element to filter recursively.
  * @param {array} allowedTags The list of allowed tags.
+ * @param {object} [stripped] Where to keep track of the removed tags and attributes.
  */
-function filterContent(node, allowedTags) {
+function filterContent(node, allowedTags, stripped) {
   const children = Array.from(node.childNodes);
 
   if (!children || !children.length) {
@@ -140,7 +241,7 @@ function filterContent(node, allowedTags) {
     // Element nodes
     if (childNode.nodeType === 1) {
       // Filter recursively (deeper nodes first)
-      filterContent(childNode, allowedTags);
+      filterContent(childNode, allowedTags, stripped);
 
       // Check if the current element is allowed
       const tag = childNode.tagName.toLowerCase();
@@ -153,11 +254,19 @@ function filterContent(node, allowedTags) {
       if (allowedTag) {
         const allowedAttributes = allowedTag.attributes || [];
         const allowedStyles = allowedTag.styles || [];
+        const allowedClasses = allowedTag.classes || [];
 
         // Remove attributes that are not allowed
         for (let i = 0; i < attributes.length; i++) {
           const attributeName = attributes[i].name;
 
+          // Remove URLs with a protocol that is not allowed
+          if (URL_ATTRIBUTES.includes(attributeName) && !isAllowedUrl(attributes[i].value, allowedTag.protocols)) {
+            childNode.removeAttribute(attributeName);
+            addStripped(stripped, 'attributes', attributeName);
+            continue;
+          }
+
           if (!allowedAttributes.includes(attributes[i].name)) {
             // Replace deprecated align attribute with text-align style
             if (attributeName === ALIGN_ATTRIBUTE) {
@@ -168,8 +277,11 @@ function filterContent(node, allowedTags) {
 
             if (attributeName === STYLE_ATTRIBUTE && allowedStyles.length) {
               filterStyles(childNode, allowedStyles);
+            } else if (attributeName === CLASS_ATTRIBUTE && allowedClasses.length) {
+              filterClasses(childNode, allowedClasses, stripped);
             } else {
               childNode.removeAttribute(attributes[i].name);
+              addStripped(stripped, 'attributes', attributeName);
             }
           }
         }
@@ -180,8 +292,10 @@ function filterContent(node, allowedTags) {
           replaceNode(childNode, allowedTag.alias, true);
         }
       } else {
-        // Remove style nodes
-        if (tag === 'style') {
+        addStripped(stripped, 'tags', tag);
+
+        // Remove style and script nodes
+        if (REMOVED_ELEMENTS.includes(tag)) {
           node.removeChild(childNode);
 
         // And unwrap the other nodes
@@ -208,6 +322,18 @@ function filterContent(node, allowedTags) {
   });
 }
 
+/**
+ * Keep track of a removed tag or attribute.
+ * @param {object} [stripped] The removed tags and attributes.
+ * @param {string} type The type of the removed item (tags or attributes).
+ * @param {string} name The name of the removed tag or attribute.
+ */
+function addStripped(stripped, type, name) {
+  if (stripped && !stripped[type].includes(name)) {
+    stripped[type].push(name);
+  }
+}
+
 /**
  * Remove empty nodes.
  * @param {object} node The parent element to filter recursively.
@@ -276,6 +402,92 @@ function wrapTextNodes(node) {
   });
 }
 
+/**
+ * Check if a URL uses an allowed protocol.
+ * Relative URLs are always allowed, and data URLs are only allowed for images.
+ * @param {string} url The URL.
+ * @param {array} [protocols] The allowed protocols (defaults to the global settings).
+ * @return {boolean} True if the URL is allowed.
+ */
+function isAllowedUrl(url, protocols) {
+  // Browsers ignore whitespace and control characters in URLs (e.g: "java\tscript:")
+  const value = url.replace(/[\u0000-\u0020\u007F]/g, '');
+  const match = value.match(/^([a-z][a-z\d+.-]*):/i);
+
+  protocols = protocols || settings.allowedProtocols;
+
+  if (!match) {
+    return true;
+  }
+
+  const protocol = match[1].toLowerCase();
+
+  if (protocol === 'data') {
+    return protocols.includes(protocol) && /^data:image\//i.test(value);
+  }
+
+  return protocols.includes(protocol);
+}
+
+/**
+ * Fix and validate the URL of a link entered by a user.
+ * Web addresses without a protocol (e.g: example.com) get https://, and email addresses get mailto:.
+ * @param {string} url The URL.
+ * @return {string} The fixed URL, or an empty string if it's not a valid link URL.
+ */
+function normalizeLinkUrl(url) {
+  const value = url.trim();
+
+  // Anchors and relative URLs
+  if (/^#\S+$/.test(value) || /^(\/|\.\.?\/|\?)\S*$/.test(value)) {
+    return value;
+  }
+
+  // Web, email and phone links
+  if (/^https?:\/\/[^\s/?#]+\S*$/i.test(value) || /^mailto:[^\s@]+@[^\s@]+\.\S+$/i.test(value) || /^tel:\+?[\d\s().-]*\d[\d\s().-]*$/i.test(value)) {
+    return value;
+  }
+
+  // Email addresses without a protocol
+  if (/^[^\s@/:]+@[^\s@/:]+\.[a-z]{2,}$/i.test(value)) {
+    return `mailto:${value}`;
+  }
+
+  // Domain names without a protocol (e.g: example.com/page, www.example.site, localhost:8080)
+  const host = value.match(/^([a-z\d-]+(?:\.[a-z\d-]+)*)(?::\d+)?(?:[/?#]\S*)?$/i);
+
+  if (host && isWebHost(host[1])) {
+    return `https://${value}`;
+  }
+
+  // Other relative URLs (e.g: page.html, docs/page)
+  if (/^[^\s:/?#]+[./][^\s:?#]*([?#]\S*)?$/.test(value)) {
+    return value;
+  }
+
+  // Other protocols (e.g: ftp:) are validated by the list of allowed protocols
+  if (/^[a-z][a-z\d+.-]*:\S+$/i.test(value) && !/^(https?|mailto|tel):/i.test(value)) {
+    return value;
+  }
+
+  return '';
+}
+
+/**
+ * Check if the host name of a URL entered without a protocol is a web address.
+ * @param {string} host The host name.
+ * @return {boolean} True if the host is localhost, starts with www. or ends with a known top-level domain.
+ */
+function isWebHost(host) {
+  const labels = host.toLowerCase().split('.');
+
+  if (labels.length === 1) {
+    return labels[0] === 'localhost';
+  }
+
+  return labels[0] === 'www' || WEB_DOMAINS.includes(labels[labels.length - 1]);
+}
+
 /**
  * Trim whitespace from the start and end of a text.
  * @param {string} text The text to trim.
@@ -287,5 +499,7 @@ function trimText(text) {
 
 export {
   enableTags,
+  isAllowedUrl,
+  normalizeLinkUrl,
   prepareContent
 };
\ No newline at end of file
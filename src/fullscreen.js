@@ -0,0 +1,60 @@
+import document from 'document';
+import { addListener, findInstance } from './utils.js';
+import { hasClass } from './shortcuts.js';
+
+// The CSS class of instances that fill the viewport
+const fullscreenClass = 'wysi-fullscreen';
+
+// The CSS class of the document while its scrolling is locked
+const scrollLockClass = 'wysi-scroll-lock';
+
+/**
+ * Check if an editor instance is in fullscreen mode.
+ * @param {object} editor The editor element.
+ * @return {boolean} True if the instance fills the viewport.
+ */
+function isFullscreen(editor) {
+  return hasClass(editor.parentNode, fullscreenClass);
+}
+
+/**
+ * Enter or exit the fullscreen mode of an editor instance.
+ * @param {object} editor The editor element.
+ * @param {boolean} [enabled] The new state (defaults to the opposite of the current state).
+ */
+function toggleFullscreen(editor, enabled) {
+  const wrapper = editor.parentNode;
+  const button = wrapper.querySelector('.wysi-toolbar [data-action="fullscreen"]');
+
+  enabled = enabled === undefined ? !isFullscreen(editor) : !!enabled;
+
+  if (enabled === isFullscreen(editor)) {
+    return;
+  }
+
+  // Only one instance can fill the viewport at a time
+  if (enabled) {
+    document.querySelectorAll(`.${fullscreenClass}`).forEach(other => {
+      toggleFullscreen(findInstance(other).editor, false);
+    });
+  }
+
+  // The height and autoGrow settings are overridden in CSS, so they apply again on exit
+  wrapper.classList.toggle(fullscreenClass, enabled);
+  document.documentElement.classList.toggle(scrollLockClass, enabled);
+
+  if (button) {
+    button.setAttribute('aria-pressed', enabled);
+  }
+}
+
+// Exit fullscreen mode with the Escape key (unless it closes a popover or a list box)
+addListener(document, 'keydown', `.${fullscreenClass} *`, event => {
+  const target = event.target;
+
+  if (event.key === 'Escape' && !target.closest('.wysi-popover, .wysi-listbox')) {
+    toggleFullscreen(findInstance(target).editor, false);
+  }
+});
+
+export { toggleFullscreen };
\ No newline at end of file
@@ -0,0 +1,298 @@
+import document from 'document';
+import {
+  addListener,
+  findInstance,
+  getInstanceId,
+  setSelection
+} from './utils.js';
+import { dispatchEvent } from './shortcuts.js';
+
+// Maximum number of snapshots to keep per instance
+const historyLimit = 100;
+
+// Consecutive typing within this delay (in milliseconds) is merged into a single snapshot
+const typingDelay = 1000;
+
+// Input types that are considered as typing
+const typingInputTypes = [
+  'insertText',
+  'insertCompositionText',
+  'deleteContentBackward',
+  'deleteContentForward'
+];
+
+// History stacks of the editor instances
+const histories = {};
+
+/**
+ * Initialize the history of an editor instance.
+ * @param {object} editor The editor element.
+ */
+function initHistory(editor) {
+  histories[getInstanceId(editor)] = {
+    stack: [takeSnapshot(editor)],
+    index: 0
+  };
+
+  updateHistoryButtons(editor);
+}
+
+/**
+ * Remove the history of an editor instance.
+ * @param {string} instanceId The instance id.
+ */
+function clearHistory(instanceId) {
+  delete histories[instanceId];
+}
+
+/**
+ * Record the current state of an editor instance in its history.
+ * @param {object} editor The editor element.
+ * @param {string} [inputType] The type of the input that caused the change.
+ * @param {boolean} [amend] If true, replace the latest snapshot instead of adding a new one.
+ */
+function recordHistory(editor, inputType, amend) {
+  const history = histories[getInstanceId(editor)];
+
+  if (!history) {
+    return;
+  }
+
+  const stack = history.stack;
+  const current = stack[history.index];
+  const snapshot = takeSnapshot(editor, inputType);
+  const isLatest = history.index === stack.length - 1;
+
+  // Ignore changes that don't affect the content (e.g: restoring a snapshot)
+  if (snapshot.content === current.content) {
+    current.selection = snapshot.selection;
+    return;
+  }
+
+  // Merge typing bursts into a single snapshot
+  const isTypingBurst = typingInputTypes.includes(inputType) &&
+                        current.inputType === inputType &&
+                        snapshot.time - current.time < typingDelay;
+
+  if (isLatest && history.index > 0 && (amend || isTypingBurst)) {
+    stack[history.index] = snapshot;
+  } else {
+    // Discard the redo steps if any
+    stack.splice(history.index + 1);
+    stack.push(snapshot);
+
+    if (stack.length > historyLimit) {
+      stack.shift();
+    }
+
+    history.index = stack.length - 1;
+  }
+
+  updateHistoryButtons(editor);
+}
+
+/**
+ * Undo the last change in an editor instance.
+ * @param {object} editor The editor element.
+ */
+function undo(editor) {
+  moveInHistory(editor, -1);
+}
+
+/**
+ * Redo the last undone change in an editor instance.
+ * @param {object} editor The editor element.
+ */
+function redo(editor) {
+  moveInHistory(editor, 1);
+}
+
+/**
+ * Restore a snapshot relative to the current position in an editor instance's history.
+ * @param {object} editor The editor element.
+ * @param {number} step The number of steps to move by (negative values move backward).
+ */
+function moveInHistory(editor, step) {
+  const history = histories[getInstanceId(editor)];
+
+  if (!history) {
+    return;
+  }
+
+  const snapshot = history.stack[history.index + step];
+
+  if (snapshot) {
+    history.index += step;
+    editor.innerHTML = snapshot.content;
+    restoreSnapshotSelection(editor, snapshot.selection);
+    updateHistoryButtons(editor);
+
+    // Notify the other components of the change
+    dispatchEvent(editor, 'input');
+  }
+}
+
+/**
+ * Take a snapshot of an editor instance's content and selection.
+ * @param {object} editor The editor element.
+ * @param {string} [inputType] The type of the input that caused the change.
+ * @return {object} The snapshot.
+ */
+function takeSnapshot(editor, inputType) {
+  return {
+    content: editor.innerHTML,
+    selection: getSnapshotSelection(editor),
+    inputType: inputType,
+    time: Date.now()
+  };
+}
+
+/**
+ * Get the current selection relative to an editor instance.
+ * @param {object} editor The editor element.
+ * @return {object} The selection boundaries as node paths and offsets, or null.
+ */
+function getSnapshotSelection(editor) {
+  const selection = document.getSelection();
+
+  if (!selection || !selection.rangeCount) {
+    return null;
+  }
+
+  const range = selection.getRangeAt(0);
+  const start = getNodePath(editor, range.startContainer);
+  const end = getNodePath(editor, range.endContainer);
+
+  if (!start || !end) {
+    return null;
+  }
+
+  return {
+    start,
+    startOffset: range.startOffset,
+    end,
+    endOffset: range.endOffset
+  };
+}
+
+/**
+ * Restore a selection saved in a snapshot.
+ * @param {object} editor The editor element.
+ * @param {object} saved The saved selection.
+ */
+function restoreSnapshotSelection(editor, saved) {
+  if (!saved) {
+    return;
+  }
+
+  const startNode = getPathNode(editor, saved.start);
+  const endNode = getPathNode(editor, saved.end);
+
+  if (startNode && endNode) {
+    const range = document.createRange();
+
+    try {
+      range.setStart(startNode, saved.startOffset);
+      range.setEnd(endNode, saved.endOffset);
+      setSelection(range);
+    } catch (error) {
+      // The saved offsets no longer fit the content, keep the current selection
+    }
+  }
+}
+
+/**
+ * Get the path of a node as a list of child indexes starting from an editor element.
+ * @param {object} editor The editor element.
+ * @param {object} node The node.
+ * @return {array} The node's path, or null if the node is outside the editor.
+ */
+function getNodePath(editor, node) {
+  const path = [];
+
+  while (node && node !== editor) {
+    const parent = node.parentNode;
+
+    if (!parent) {
+      return null;
+    }
+
+    path.unshift(Array.prototype.indexOf.call(parent.childNodes, node));
+    node = parent;
+  }
+
+  return node ? path : null;
+}
+
+/**
+ * Find a node from its path in an editor element.
+ * @param {object} editor The editor element.
+ * @param {array} path The node's path.
+ * @return {object} The node, or undefined if not found.
+ */
+function getPathNode(editor, path) {
+  let node = editor;
+
+  for (let i = 0; i < path.length && node; i++) {
+    node = node.childNodes[path[i]];
+  }
+
+  return node;
+}
+
+/**
+ * Update the state of an editor instance's undo and redo buttons.
+ * @param {object} editor The editor element.
+ */
+function updateHistoryButtons(editor) {
+  const history = histories[getInstanceId(editor)];
+  const { toolbar } = findInstance(editor);
+
+  if (!history || !toolbar) {
+    return;
+  }
+
+  toolbar.querySelectorAll('[data-action="undo"]').forEach(button => {
+    button.disabled = history.index === 0;
+  });
+
+  toolbar.querySelectorAll('[data-action="redo"]').forEach(button => {
+    button.disabled = history.index === history.stack.length - 1;
+  });
+}
+
+// Keep track of the selection right before a change
+// and replace the browser's native undo/redo with our own
+addListener(document, 'beforeinput', '.wysi-editor', event => {
+  const editor = event.target;
+  const history = histories[getInstanceId(editor)];
+
+  switch (event.inputType) {
+    case 'historyUndo':
+      undo(editor);
+      event.preventDefault();
+      break;
+    case 'historyRedo':
+      redo(editor);
+      event.preventDefault();
+      break;
+    default:
+      if (history) {
+        history.stack[history.index].selection = getSnapshotSelection(editor);
+      }
+  }
+});
+
+// Record changes in the history
+addListener(document, 'input', '.wysi-editor', event => {
+  recordHistory(event.target, event.inputType);
+});
+
+export {
+  clearHistory,
+  initHistory,
+  recordHistory,
+  redo,
+  undo,
+  updateHistoryButtons
+};
\ No newline at end of file
@@ -0,0 +1,43 @@
+import window from 'window';
+import { instances } from './common.js';
+import { getInstanceId } from './utils.js';
+
+/**
+ * Call a hook function of an editor instance, then dispatch the hook as an event on the instance's textarea.
+ * e.g: the "focus" hook calls the onFocus option and dispatches a "wysi:focus" event.
+ * @param {object} editor The editor element.
+ * @param {string} name The hook name.
+ * @param {object} [detail] The hook data, passed to the hook function as arguments (in order) and as the event detail.
+ * @param {string} [rewritable] The detail property that is replaced with the value returned by the hook function.
+ * @return {boolean} False if the hook function returned false or an event listener called preventDefault().
+ */
+function triggerHook(editor, name, detail = {}, rewritable) {
+  const instance = instances[getInstanceId(editor)];
+  const hook = instance ? instance[`on${name.charAt(0).toUpperCase()}${name.slice(1)}`] : undefined;
+  const field = editor.parentNode ? editor.parentNode.nextElementSibling : null;
+
+  if (hook) {
+    const result = hook(...Object.values(detail));
+
+    if (result === false) {
+      return false;
+    }
+
+    if (rewritable && result !== undefined) {
+      detail[rewritable] = result;
+    }
+  }
+
+  if (!field) {
+    return true;
+  }
+
+  // Listeners can change the detail or cancel the event
+  return field.dispatchEvent(new window.CustomEvent(`wysi:${name}`, {
+    bubbles: true,
+    cancelable: true,
+    detail
+  }));
+}
+
+export { triggerHook };
\ No newline at end of file
@@ -0,0 +1,217 @@
+import document from 'document';
+import { instances } from './common.js';
+import { execAction } from './commands.js';
+import {
+  addListener,
+  createElement,
+  getInstanceId,
+  setSelection
+} from './utils.js';
+
+// Top level elements in which block rules can be applied
+const ruleBlockElements = ['P', 'DIV'];
+
+// Default input rules
+// Block rules match the text between the start of the current block and the caret,
+// inline rules match the text before the caret in the current text node
+const defaultInputRules = [
+  ...[1, 2, 3, 4].map(level => ({
+    pattern: new RegExp(`^#{${level}} $`),
+    tag: `h${level}`,
+    block: true,
+    action: 'format',
+    options: [`h${level}`]
+  })),
+  {
+    pattern: /^[-*] $/,
+    tag: 'ul',
+    block: true,
+    action: 'ul'
+  },
+  {
+    pattern: /^1[.)] $/,
+    tag: 'ol',
+    block: true,
+    action: 'ol'
+  },
+  {
+    pattern: /^> $/,
+    tag: 'blockquote',
+    block: true,
+    action: 'quote'
+  },
+  {
+    pattern: /^---$/,
+    tag: 'hr',
+    block: true,
+    action: 'hr'
+  },
+  {
+    pattern: /\*\*([^*\s](?:[^*]*[^*\s])?)\*\*$/,
+    tag: 'strong',
+    action: 'bold'
+  },
+  {
+    pattern: /(?:^|\s)_([^_\s](?:[^_]*[^_\s])?)_$/,
+    tag: 'em',
+    action: 'italic'
+  }
+];
+
+/**
+ * Get the input rules that apply to an editor instance.
+ * @param {(array|boolean)} [customRules] Extra input rules, or false to disable input rules.
+ * @param {object} allowedTags The list of allowed tags in the instance.
+ * @return {array} The list of active input rules.
+ */
+function getInputRules(customRules, allowedTags) {
+  if (customRules === false) {
+    return [];
+  }
+
+  const rules = (Array.isArray(customRules) ? customRules : []).concat(defaultInputRules);
+
+  // Only keep the rules whose tools are enabled
+  return rules.filter(rule => !rule.tag || allowedTags[rule.tag]);
+}
+
+/**
+ * Apply the first matching input rule after the user typed something.
+ * @param {object} event The browser's input event.
+ */
+function applyInputRules(event) {
+  const editor = event.target;
+  const instance = instances[getInstanceId(editor)];
+  const selection = document.getSelection();
+
+  if (!instance || !instance.activeInputRules || event.inputType !== 'insertText' || !selection.rangeCount) {
+    return;
+  }
+
+  const caret = selection.getRangeAt(0);
+  const node = caret.startContainer;
+
+  if (!caret.collapsed || node.nodeType !== 3 || !editor.contains(node)) {
+    return;
+  }
+
+  const block = findBlock(editor, node);
+  const blockRange = document.createRange();
+
+  blockRange.setStart(block, 0);
+  blockRange.setEnd(node, caret.startOffset);
+
+  const blockText = normalizeSpaces(blockRange.toString());
+  const inlineText = normalizeSpaces(node.data.substring(0, caret.startOffset));
+
+  for (const rule of instance.activeInputRules) {
+    if (rule.block && !ruleBlockElements.includes(block.tagName) && block !== editor) {
+      continue;
+    }
+
+    const match = (rule.block ? blockText : inlineText).match(rule.pattern);
+
+    if (match) {
+      if (rule.block) {
+        applyBlockRule(rule, match, editor, block, blockRange);
+      } else {
+        applyInlineRule(rule, match, editor, node, caret.startOffset);
+      }
+
+      break;
+    }
+  }
+}
+
+/**
+ * Apply a block input rule.
+ * @param {object} rule The input rule.
+ * @param {array} match The result of matching the rule's pattern.
+ * @param {object} editor The editor element.
+ * @param {object} block The current block element.
+ * @param {object} range The range between the start of the block and the caret.
+ */
+function applyBlockRule(rule, match, editor, block, range) {
+  // Custom rules can handle the matched text themselves
+  if (rule.exec) {
+    setSelection(range);
+    rule.exec(editor, match);
+    return;
+  }
+
+  range.deleteContents();
+
+  // Keep the block selectable once it's empty
+  if (block !== editor && block.textContent === '' && !block.querySelector('br')) {
+    block.appendChild(createElement('br'));
+  }
+
+  range.setStart(block, 0);
+  range.collapse(true);
+  setSelection(range);
+
+  execAction(rule.action, editor, rule.options ? rule.options.slice() : []);
+}
+
+/**
+ * Apply an inline input rule.
+ * @param {object} rule The input rule.
+ * @param {array} match The result of matching the rule's pattern.
+ * @param {object} editor The editor element.
+ * @param {object} node The current text node.
+ * @param {number} offset The position of the caret in the text node.
+ */
+function applyInlineRule(rule, match, editor, node, offset) {
+  // Whitespace preceding the markers is not part of the replaced text
+  const start = match.index + match[0].match(/^\s*/)[0].length;
+  const content = match[1] || '';
+  const range = document.createRange();
+
+  if (rule.exec) {
+    range.setStart(node, start);
+    range.setEnd(node, offset);
+    setSelection(range);
+    rule.exec(editor, match);
+    return;
+  }
+
+  // Replace the matched text with its content (without the markers) and select it
+  node.replaceData(start, offset - start, content);
+  range.setStart(node, start);
+  range.setEnd(node, start + content.length);
+  setSelection(range);
+
+  execAction(rule.action, editor, rule.options ? rule.options.slice() : []);
+
+  // Toggle the format off for the text typed afterwards
+  document.getSelection().collapseToEnd();
+  execAction(rule.action, editor, rule.options ? rule.options.slice() : []);
+}
+
+/**
+ * Find the top level element containing a node.
+ * @param {object} editor The editor element.
+ * @param {object} node The node.
+ * @return {object} The top level element, or the editor element if the node is not in an element.
+ */
+function findBlock(editor, node) {
+  while (node.parentNode && node.parentNode !== editor) {
+    node = node.parentNode;
+  }
+
+  return node.nodeType === 1 ? node : editor;
+}
+
+/**
+ * Replace non-breaking spaces with regular spaces.
+ * @param {string} text The text.
+ * @return {string} The normalized text.
+ */
+function normalizeSpaces(text) {
+  return text.replace(/\u00A0/g, ' ');
+}
+
+// Apply input rules while typing
+addListener(document, 'input', '.wysi-editor', applyInputRules);
+
+export { getInputRules };
\ No newline at end of file
@@ -0,0 +1,274 @@
+import document from 'document';
+import toolset from './toolset.js';
+import { instances, isApple } from './common.js';
+import {
+  addListener,
+  createElement,
+  getInstanceId,
+  getTranslation
+} from './utils.js';
+import { copyTheme } from './theme.js';
+
+// Tools whose key bindings are active even if they are not in the toolbar
+const permanentTools = ['undo', 'redo'];
+
+// Supported modifier keys and their aliases
+const modifierKeys = {
+  ctrl: 'ctrl',
+  control: 'ctrl',
+  cmd: 'ctrl',
+  meta: 'ctrl',
+  mod: 'ctrl',
+  alt: 'alt',
+  option: 'alt',
+  shift: 'shift'
+};
+
+// The order of modifier keys in a normalized key binding
+const modifierOrder = ['ctrl', 'alt', 'shift'];
+
+// Modifier key names as displayed to the user
+const modifierLabels = isApple ? { ctrl: '⌘', alt: '⌥', shift: '⇧' } : { ctrl: 'Ctrl', alt: 'Alt', shift: 'Shift' };
+
+// Modifier key names as expected by the aria-keyshortcuts attribute
+const modifierAriaLabels = { ctrl: isApple ? 'Meta' : 'Control', alt: 'Alt', shift: 'Shift' };
+
+/**
+ * Get the key bindings of a set of tools.
+ * @param {array} tools The list of tools in the toolbar.
+ * @param {object} [custom] Custom key bindings by tool name (false disables a key binding).
+ * @return {object} The normalized key bindings by tool name.
+ */
+function getKeyBindings(tools, custom) {
+  const bindings = {};
+  const toolNames = [];
+
+  custom = custom || {};
+
+  // List all the tools including the ones in tool groups
+  tools.concat(permanentTools).forEach(tool => {
+    const names = typeof tool === 'object' ? tool.items || [] : [tool];
+
+    names.forEach(name => {
+      if (!toolNames.includes(name)) {
+        toolNames.push(name);
+      }
+    });
+  });
+
+  const addKeyBinding = (name, shortcut) => {
+    if (custom.hasOwnProperty(name)) {
+      shortcut = custom[name];
+    }
+
+    if (shortcut) {
+      bindings[name] = [].concat(shortcut).map(parseKeyBinding);
+    }
+  };
+
+  toolNames.forEach(toolName => {
+    const tool = toolset[toolName];
+
+    if (!tool) {
+      return;
+    }
+
+    // Tools with options (e.g: format) have a key binding per option
+    if (tool.shortcuts) {
+      for (const option in tool.shortcuts) {
+        addKeyBinding(`${toolName}.${option}`, tool.shortcuts[option]);
+      }
+    } else {
+      addKeyBinding(toolName, tool.shortcut);
+    }
+  });
+
+  return bindings;
+}
+
+/**
+ * Normalize a key binding string (e.g: "Ctrl+Shift+7" becomes "ctrl+shift+7").
+ * @param {string} shortcut The key binding.
+ * @return {string} The normalized key binding.
+ */
+function parseKeyBinding(shortcut) {
+  const keys = shortcut.toLowerCase().split('+').map(key => key.trim());
+  const key = keys.pop();
+  const modifiers = keys.map(modifier => modifierKeys[modifier]);
+
+  return modifierOrder.filter(modifier => modifiers.includes(modifier)).concat(key).join('+');
+}
+
+/**
+ * Find the tool whose key binding matches a keyboard event.
+ * @param {object} bindings The normalized key bindings.
+ * @param {object} event The keyboard event.
+ * @return {string} The name of the matching tool (and option if any), or undefined.
+ */
+function findKeyBinding(bindings, event) {
+  // AltGr is reported as Ctrl+Alt on Windows, but it's used to type characters (e.g: AltGr+0 types } on some layouts)
+  if (event.ctrlKey && event.altKey && event.getModifierState && event.getModifierState('AltGraph')) {
+    return;
+  }
+
+  // Use physical keys for letters and digits to be independent of the Shift/Alt key state
+  const match = (event.code || '').match(/^(?:Key|Digit)(.)$/);
+  const key = (match ? match[1] : event.key || '').toLowerCase();
+  const modifiers = [];
+
+  if (event.ctrlKey || event.metaKey) {
+    modifiers.push('ctrl');
+  }
+
+  if (event.altKey) {
+    modifiers.push('alt');
+  }
+
+  if (event.shiftKey) {
+    modifiers.push('shift');
+  }
+
+  const pressed = modifiers.concat(key).join('+');
+
+  return Object.keys(bindings).find(name => bindings[name].includes(pressed));
+}
+
+/**
+ * Format a normalized key binding for display.
+ * @param {string} binding The normalized key binding.
+ * @param {boolean} [forAria] If true, format the key binding for the aria-keyshortcuts attribute.
+ * @return {string} The formatted key binding.
+ */
+function formatKeyBinding(binding, forAria) {
+  const keys = binding.split('+');
+  const key = keys.pop();
+  const keyLabel = key.charAt(0).toUpperCase() + key.slice(1);
+
+  if (forAria) {
+    return keys.map(modifier => modifierAriaLabels[modifier]).concat(keyLabel).join('+');
+  }
+
+  return keys.map(modifier => modifierLabels[modifier]).concat(keyLabel).join(isApple ? '' : '+');
+}
+
+/**
+ * Show a key binding in an element's title and aria-keyshortcuts attributes.
+ * @param {object} element The element (usually a button).
+ * @param {string} label The element's label.
+ * @param {array} [binding] The normalized key binding if any.
+ */
+function setKeyBindingAttributes(element, label, binding) {
+  if (binding) {
+    element.setAttribute('title', `${label} (${formatKeyBinding(binding[0])})`);
+    element.setAttribute('aria-keyshortcuts', binding.map(b => formatKeyBinding(b, true)).join(' '));
+  }
+}
+
+/**
+ * Get the label of a key binding.
+ * @param {string} name The name of the tool (and option if any).
+ * @return {string} The label.
+ */
+function getKeyBindingLabel(name) {
+  const [toolName, option] = name.split('.');
+  const tool = toolset[toolName];
+
+  if (option) {
+    return option === 'p' ? getTranslation(toolName, tool.paragraph) : `${getTranslation(toolName, tool.heading)} ${option.substring(1)}`;
+  }
+
+  return getTranslation(toolName, tool.label);
+}
+
+/**
+ * Open a dialog listing the key bindings of an editor instance.
+ * @param {object} editor The editor element.
+ */
+function openShortcutDialog(editor) {
+  const bindings = instances[getInstanceId(editor)].keyBindings || {};
+  const label = getTranslation('shortcuts', toolset.shortcuts.label);
+  const overlay = createElement('div', {
+    class: 'wysi-dialog',
+    'data-wid': getInstanceId(editor)
+  });
+  const dialog = createElement('div', {
+    role: 'dialog',
+    'aria-modal': true,
+    'aria-label': label,
+    tabindex: -1
+  });
+  const table = createElement('table');
+  const close = createElement('button', {
+    type: 'button',
+    _textContent: getTranslation('dialog', 'Close')
+  });
+
+  closeShortcutDialog();
+
+  for (const name in bindings) {
+    const row = createElement('tr');
+    const keys = createElement('td');
+
+    bindings[name].forEach(binding => {
+      keys.appendChild(createElement('kbd', { _textContent: formatKeyBinding(binding) }));
+    });
+
+    row.appendChild(createElement('th', { scope: 'row', _textContent: getKeyBindingLabel(name) }));
+    row.appendChild(keys);
+    table.appendChild(row);
+  }
+
+  // Match the appearance of the editor instance
+  copyTheme(editor.parentNode, overlay);
+
+  dialog.appendChild(createElement('strong', { _textContent: label }));
+  dialog.appendChild(table);
+  dialog.appendChild(close);
+  overlay.appendChild(dialog);
+  document.body.appendChild(overlay);
+
+  close.focus();
+}
+
+/**
+ * Close the key bindings dialog if it's open.
+ */
+function closeShortcutDialog() {
+  const overlay = document.querySelector('.wysi-dialog');
+
+  if (overlay) {
+    const editor = document.querySelector(`.wysi-editor[data-wid="${overlay.dataset.wid}"]`);
+
+    overlay.remove();
+
+    // Give the focus back to the editor instance
+    if (editor) {
+      editor.focus();
+    }
+  }
+}
+
+// Close the dialog on click outside or on its button
+addListener(document, 'click', '.wysi-dialog, .wysi-dialog button', event => {
+  closeShortcutDialog();
+});
+
+// Close the dialog with the Escape key and keep the focus inside it
+addListener(document, 'keydown', '.wysi-dialog *', event => {
+  switch (event.key) {
+    case 'Escape':
+      closeShortcutDialog();
+      event.preventDefault();
+      break;
+    case 'Tab':
+      event.preventDefault();
+      break;
+  }
+});
+
+export {
+  findKeyBinding,
+  getKeyBindings,
+  openShortcutDialog,
+  setKeyBindingAttributes
+};
\ No newline at end of file
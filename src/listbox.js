@@ -2,6 +2,7 @@ import document from 'document';
 import toolset from './toolset.js';
 import { instances } from './common.js';
 import { execAction } from './commands.js';
+import { setKeyBindingAttributes } from './keybindings.js';
 import {
   addListener,
   createElement,
@@ -54,6 +55,7 @@ function renderListBox(details) {
       _innerHTML: renderListBoxItem(item)
     });
 
+    setKeyBindingAttributes(option, item.label, item.shortcut);
     menu.appendChild(option);
   });
 
@@ -0,0 +1,569 @@
+import { buildFragment, escapeHTML } from './utils.js';
+
+// Block level Markdown syntax
+const headingRegex = /^ {0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const hrRegex = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const quoteRegex = /^ {0,3}> ?/;
+const listItemRegex = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+const blankLineRegex = /^\s*$/;
+const indentedLineRegex = /^\s+\S/;
+const tableDelimiterRegex = /^\s*\|?\s*:?-+:?\s*(?:\|\s*:?-+:?\s*)*\|?\s*$/;
+
+// HTML blocks that have no Markdown equivalent (e.g: tables without a header row)
+const htmlBlockRegex = /^ {0,3}<(?:figure|table)[\s>]/i;
+
+// Link and image destinations, optionally between angle brackets, followed by an optional title (which may contain escaped quotes)
+const destination = '\\(\\s*(?:<([^<>\\n]*)>|([^\\s()]*))(?:\\s+"((?:\\\\"|[^"])*)")?\\s*\\)';
+const imageRegex = new RegExp(`!\\[([^\\]]*)\\]${destination}`, 'g');
+const linkRegex = new RegExp(`\\[([^\\]]+)\\]${destination}`, 'g');
+
+/**
+ * Convert HTML content to Markdown.
+ * @param {string} html The HTML content.
+ * @return {string} The Markdown content.
+ */
+function toMarkdown(html) {
+  return blocksToMarkdown(buildFragment(html || '')).trim();
+}
+
+/**
+ * Convert Markdown content to HTML.
+ * @param {string} markdown The Markdown content.
+ * @return {string} The HTML content.
+ */
+function fromMarkdown(markdown) {
+  const lines = (markdown || '').replace(/\r\n?/g, '\n').split('\n');
+  const html = [];
+  let paragraph = [];
+  let i = 0;
+
+  const flushParagraph = () => {
+    if (paragraph.length) {
+      html.push(`<p>${parseInline(paragraph.join('\n'))}</p>`);
+      paragraph = [];
+    }
+  };
+
+  while (i < lines.length) {
+    const line = lines[i];
+    const heading = line.match(headingRegex);
+
+    // Blank lines separate blocks
+    if (blankLineRegex.test(line)) {
+      flushParagraph();
+      i++;
+
+    // Headings
+    } else if (heading) {
+      const level = heading[1].length;
+
+      flushParagraph();
+      html.push(`<h${level}>${parseInline(heading[2])}</h${level}>`);
+      i++;
+
+    // Horizontal lines
+    } else if (hrRegex.test(line)) {
+      flushParagraph();
+      html.push('<hr>');
+      i++;
+
+    // Quotes
+    } else if (quoteRegex.test(line)) {
+      const quoteLines = [];
+
+      flushParagraph();
+
+      while (i < lines.length && quoteRegex.test(lines[i])) {
+        quoteLines.push(lines[i].replace(quoteRegex, ''));
+        i++;
+      }
+
+      // A quote with a single paragraph is the equivalent of what the quote tool produces
+      const quote = fromMarkdown(quoteLines.join('\n')).replace(/^<p>((?:(?!<\/?p>)[\s\S])*)<\/p>$/, '$1');
+
+      html.push(`<blockquote>${quote}</blockquote>`);
+
+    // Lists
+    } else if (listItemRegex.test(line)) {
+      const listLines = [];
+
+      flushParagraph();
+
+      while (i < lines.length && isListLine(lines, i, listLines)) {
+        listLines.push(lines[i]);
+        i++;
+      }
+
+      html.push(parseList(listLines));
+
+    // Tables
+    } else if (isTableStart(lines, i)) {
+      const tableLines = [line];
+
+      flushParagraph();
+      i += 2;
+
+      while (i < lines.length && !blankLineRegex.test(lines[i]) && lines[i].includes('|')) {
+        tableLines.push(lines[i]);
+        i++;
+      }
+
+      html.push(parseTable(tableLines));
+
+    // HTML blocks are kept as is until the next blank line
+    } else if (htmlBlockRegex.test(line)) {
+      const htmlLines = [];
+
+      flushParagraph();
+
+      while (i < lines.length && !blankLineRegex.test(lines[i])) {
+        htmlLines.push(lines[i]);
+        i++;
+      }
+
+      html.push(htmlLines.join('\n'));
+
+    // Paragraphs
+    } else {
+      paragraph.push(line.replace(/^\s+/, ''));
+      i++;
+    }
+  }
+
+  flushParagraph();
+
+  return html.join('');
+}
+
+/**
+ * Check if a line belongs to the list that is being parsed.
+ * @param {array} lines All the lines of the Markdown content.
+ * @param {number} i The index of the line to check.
+ * @param {array} listLines The lines already in the list.
+ * @return {boolean} True if the line is part of the list.
+ */
+function isListLine(lines, i, listLines) {
+  const line = lines[i];
+  const previous = listLines[listLines.length - 1] || '';
+
+  // A blank line only continues the list if it's followed by an item or an indented line
+  if (blankLineRegex.test(line)) {
+    const next = lines[i + 1] || '';
+
+    return listItemRegex.test(next) || indentedLineRegex.test(next);
+  }
+
+  if (listItemRegex.test(line) || indentedLineRegex.test(line)) {
+    return !hrRegex.test(line);
+  }
+
+  // Lazy continuation of the previous item
+  return !blankLineRegex.test(previous) && !headingRegex.test(line) && !hrRegex.test(line) && !quoteRegex.test(line);
+}
+
+/**
+ * Check if a line is the header row of a table.
+ * @param {array} lines All the lines of the Markdown content.
+ * @param {number} i The index of the line to check.
+ * @return {boolean} True if the line is followed by a delimiter row (e.g: | --- | --- |).
+ */
+function isTableStart(lines, i) {
+  const next = lines[i + 1] || '';
+
+  return lines[i].includes('|') && next.includes('|') && tableDelimiterRegex.test(next);
+}
+
+/**
+ * Convert the lines of a Markdown list to HTML.
+ * @param {array} lines The lines of the list.
+ * @return {string} The HTML list.
+ */
+function parseList(lines) {
+  const lists = [];
+  const stack = [];
+
+  lines.forEach(line => {
+    const match = line.match(listItemRegex);
+    let list = stack[stack.length - 1];
+
+    if (match) {
+      const indent = match[1].length;
+      const tag = /\d/.test(match[2]) ? 'ol' : 'ul';
+
+      // Close deeper lists
+      while (list && list.indent > indent) {
+        stack.pop();
+        list = stack[stack.length - 1];
+      }
+
+      // A different list type on the same level starts a new list
+      if (list && list.indent === indent && list.tag !== tag) {
+        stack.pop();
+        list = stack[stack.length - 1];
+      }
+
+      // Start a new list (nested in the last item of the parent list if any)
+      if (!list || indent > list.indent) {
+        const parent = list ? list.items[list.items.length - 1].lists : lists;
+
+        list = { tag, indent, items: [] };
+        parent.push(list);
+        stack.push(list);
+      }
+
+      list.items.push({ lines: [match[3]], lists: [] });
+
+    // Continuation of the last item
+    } else if (list && !blankLineRegex.test(line)) {
+      list.items[list.items.length - 1].lines.push(line.replace(/^\s+/, ''));
+    }
+  });
+
+  const renderList = list => {
+    const items = list.items.map(item => {
+      return `<li>${parseInline(item.lines.join('\n'))}${item.lists.map(renderList).join('')}</li>`;
+    });
+
+    return `<${list.tag}>${items.join('')}</${list.tag}>`;
+  };
+
+  return lists.map(renderList).join('');
+}
+
+/**
+ * Convert the lines of a Markdown table to HTML.
+ * @param {array} lines The header row followed by the body rows (without the delimiter row).
+ * @return {string} The HTML table.
+ */
+function parseTable(lines) {
+  const [header, ...rows] = lines.map(splitTableRow);
+
+  // Body rows have as many cells as the header row
+  const renderRow = (cells, tag) => {
+    const content = header.map((cell, i) => `<${tag}>${parseInline((cells[i] || '').trim())}</${tag}>`);
+
+    return `<tr>${content.join('')}</tr>`;
+  };
+
+  const head = `<thead>${renderRow(header, 'th')}</thead>`;
+  const body = rows.length ? `<tbody>${rows.map(cells => renderRow(cells, 'td')).join('')}</tbody>` : '';
+
+  return `<table>${head}${body}</table>`;
+}
+
+/**
+ * Split a row of a Markdown table into cells.
+ * @param {string} line The row.
+ * @return {array} The Markdown content of the cells.
+ */
+function splitTableRow(line) {
+  // Escaped pipes are part of the cell content
+  return line.trim().replace(/\\\|/g, '\u0001').replace(/^\|/, '').replace(/\|$/, '')
+    .split('|').map(cell => cell.replace(/\u0001/g, '\\|'));
+}
+
+/**
+ * Convert inline Markdown to HTML.
+ * @param {string} text The inline Markdown.
+ * @return {string} The HTML content.
+ */
+function parseInline(text) {
+  const stash = [];
+
+  // Set aside already converted HTML to protect it from further processing
+  const keep = html => `\u0000${stash.push(html) - 1}\u0000`;
+  const restore = str => str.replace(/\u0000(\d+)\u0000/g, (match, i) => restore(stash[i]));
+
+  const parse = str => {
+    str = str
+      // Hard line breaks
+      .replace(/(?: {2,}|\\)\n/g, () => keep('<br>'))
+
+      // Escaped characters
+      .replace(/\\([\\`*_{}[\]()#+\-.!~<>|])/g, (match, char) => keep(escapeHTML(char)))
+
+      // Code spans
+      .replace(/`([^`]+)`/g, (match, code) => keep(`<code>${escapeHTML(code)}</code>`))
+
+      // Automatic links
+      .replace(/<((?:https?:\/\/|mailto:)[^\s<>]+)>/gi, (match, url) => {
+        return keep(`<a href="${escapeHTML(url)}">${escapeHTML(url)}</a>`);
+      })
+
+      // Inline HTML tags
+      .replace(/<\/?[a-z][a-z0-9]*(?:\s[^<>]*)?\/?>/gi, tag => keep(tag))
+
+      // Images
+      .replace(imageRegex, (match, alt, bracketedSrc, src, title) => {
+        const titleAttribute = title ? ` title="${escapeHTML(unescapeTitle(title))}"` : '';
+
+        return keep(`<img src="${escapeHTML(bracketedSrc || src)}" alt="${escapeHTML(restore(alt))}"${titleAttribute}>`);
+      })
+
+      // Links
+      .replace(linkRegex, (match, label, bracketedHref, href, title) => {
+        const titleAttribute = title ? ` title="${escapeHTML(unescapeTitle(title))}"` : '';
+
+        return keep(`<a href="${escapeHTML(bracketedHref || href)}"${titleAttribute}>${parse(label)}</a>`);
+      });
+
+    return escapeHTML(str)
+      .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<strong>$2</strong>')
+      .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<s>$1</s>')
+      .replace(/\*(?=\S)([\s\S]*?\S)\*/g, '<em>$1</em>')
+      .replace(/(^|[^\w])_(?=\S)([\s\S]*?\S)_(?!\w)/g, '$1<em>$2</em>');
+  };
+
+  return restore(parse(text));
+}
+
+/**
+ * Remove the backslashes of the escaped quotes of a link or image title.
+ * @param {string} title The Markdown title.
+ * @return {string} The title.
+ */
+function unescapeTitle(title) {
+  return title.replace(/\\"/g, '"');
+}
+
+/**
+ * Convert the child nodes of an element to Markdown blocks.
+ * @param {object} node The parent element.
+ * @param {boolean} [tight] If true, separate the blocks with a single line break (e.g: in list items).
+ * @return {string} The Markdown content.
+ */
+function blocksToMarkdown(node, tight) {
+  const blocks = [];
+  let inline = '';
+
+  // Inline content outside of a block element is treated as a paragraph
+  const flushInline = () => {
+    const text = escapeLineStart(inline.trim());
+
+    if (text !== '') {
+      blocks.push(text);
+    }
+
+    inline = '';
+  };
+
+  node.childNodes.forEach(child => {
+    const tag = child.nodeType === 1 ? child.tagName : '';
+
+    switch (tag) {
+      case 'P':
+      case 'DIV':
+        flushInline();
+        blocks.push(escapeLineStart(inlineContentToMarkdown(child).trim()));
+        break;
+      case 'H1':
+      case 'H2':
+      case 'H3':
+      case 'H4':
+      case 'H5':
+      case 'H6':
+        flushInline();
+        blocks.push(`${'#'.repeat(+tag[1])} ${escapeLineStart(inlineContentToMarkdown(child).trim())}`);
+        break;
+      case 'BLOCKQUOTE':
+        flushInline();
+        blocks.push(blocksToMarkdown(child).split('\n').map(line => line ? `> ${line}` : '>').join('\n'));
+        break;
+      case 'UL':
+      case 'OL':
+        flushInline();
+        blocks.push(listToMarkdown(child));
+        break;
+      case 'HR':
+        flushInline();
+        blocks.push('---');
+        break;
+
+      case 'TABLE':
+        flushInline();
+        blocks.push(tableToMarkdown(child));
+        break;
+
+      // Markdown has no captions, so captioned images are kept as HTML
+      case 'FIGURE':
+        flushInline();
+        blocks.push(child.outerHTML);
+        break;
+      default:
+        inline += inlineToMarkdown(child);
+    }
+  });
+
+  flushInline();
+
+  return blocks.filter(block => block !== '').join(tight ? '\n' : '\n\n');
+}
+
+/**
+ * Convert an HTML list to Markdown.
+ * @param {object} list The list element.
+ * @return {string} The Markdown list.
+ */
+function listToMarkdown(list) {
+  const ordered = list.tagName === 'OL';
+  const items = Array.from(list.children).filter(item => item.tagName === 'LI');
+
+  return items.map((item, i) => {
+    const marker = ordered ? `${i + 1}. ` : '- ';
+    const indent = ' '.repeat(marker.length);
+    const content = blocksToMarkdown(item, true);
+
+    // Indent the item's extra lines to keep them in the item
+    return marker + content.split('\n').map((line, j) => j && line ? indent + line : line).join('\n');
+  }).join('\n');
+}
+
+/**
+ * Convert an HTML table to a Markdown table.
+ * @param {object} table The table element.
+ * @return {string} The Markdown table, or the HTML table if it has no header row.
+ */
+function tableToMarkdown(table) {
+  const rows = Array.from(table.rows);
+  const header = rows[0];
+
+  // Markdown tables always start with a header row
+  if (!header || !Array.from(header.cells).every(cell => cell.tagName === 'TH')) {
+    return table.outerHTML;
+  }
+
+  const columns = Math.max(...rows.map(row => row.cells.length));
+
+  // Cells are on a single line, so line breaks are kept as HTML
+  const renderRow = cells => {
+    const content = Array.from({ length: columns }, (value, i) => {
+      const cell = cells[i] ? inlineContentToMarkdown(cells[i]).trim() : '';
+
+      return cell.replace(/ {2}\n/g, '<br>').replace(/\s*\n\s*/g, ' ').replace(/\|/g, '\\|');
+    });
+
+    return `| ${content.join(' | ')} |`;
+  };
+
+  const delimiter = `|${' --- |'.repeat(columns)}`;
+
+  return [renderRow(header.cells), delimiter].concat(rows.slice(1).map(row => renderRow(row.cells))).join('\n');
+}
+
+/**
+ * Convert the child nodes of an element to inline Markdown.
+ * @param {object} node The parent element.
+ * @return {string} The inline Markdown.
+ */
+function inlineContentToMarkdown(node) {
+  return Array.from(node.childNodes).map(inlineToMarkdown).join('');
+}
+
+/**
+ * Convert an inline node to Markdown.
+ * @param {object} node The node to convert.
+ * @return {string} The inline Markdown.
+ */
+function inlineToMarkdown(node) {
+  // Text nodes
+  if (node.nodeType === 3) {
+    return escapeMarkdown(node.textContent.replace(/\s+/g, ' '));
+  }
+
+  // Ignore the other non element nodes
+  if (node.nodeType !== 1) {
+    return '';
+  }
+
+  switch (node.tagName) {
+    case 'STRONG':
+    case 'B':
+      return wrapEmphasis(inlineContentToMarkdown(node), '**', '__');
+    case 'EM':
+    case 'I':
+      return wrapEmphasis(inlineContentToMarkdown(node), '*', '_');
+    case 'S':
+    case 'DEL':
+    case 'STRIKE':
+      return wrapInline(inlineContentToMarkdown(node), '~~');
+
+    // Markdown has no underline syntax
+    case 'U':
+      return wrapInline(inlineContentToMarkdown(node), '<u>', '</u>');
+    case 'A':
+      return `[${inlineContentToMarkdown(node)}](${formatDestination(node)})`;
+    case 'IMG':
+      // Keep the image as HTML to preserve its size and position
+      if (node.hasAttribute('style')) {
+        return node.outerHTML;
+      }
+
+      return `![${(node.getAttribute('alt') || '').replace(/([\\\]])/g, '\\$1')}](${formatDestination(node)})`;
+    case 'BR':
+      return '  \n';
+    default:
+      return inlineContentToMarkdown(node);
+  }
+}
+
+/**
+ * Wrap inline Markdown with emphasis markers while keeping the surrounding whitespace outside.
+ * @param {string} content The inline Markdown.
+ * @param {string} open The opening marker.
+ * @param {string} [close] The closing marker (same as the opening marker by default).
+ * @return {string} The wrapped inline Markdown.
+ */
+function wrapInline(content, open, close) {
+  const [, before, text, after] = content.match(/^(\s*)([\s\S]*?)(\s*)$/);
+
+  return text ? `${before}${open}${text}${close || open}${after}` : content;
+}
+
+/**
+ * Wrap inline Markdown with asterisks, or with underscores if asterisks would be ambiguous (e.g: ***text***).
+ * @param {string} content The inline Markdown.
+ * @param {string} asterisks The asterisk marker.
+ * @param {string} underscores The underscore marker.
+ * @return {string} The wrapped inline Markdown.
+ */
+function wrapEmphasis(content, asterisks, underscores) {
+  return wrapInline(content, /^\s*\*|\*\s*$/.test(content) ? underscores : asterisks);
+}
+
+/**
+ * Format the destination of a link or an image.
+ * @param {object} node The link or image element.
+ * @return {string} The Markdown destination and title.
+ */
+function formatDestination(node) {
+  const url = node.getAttribute(node.tagName === 'A' ? 'href' : 'src') || '';
+  const title = node.getAttribute('title');
+  const destination = /[\s()]/.test(url) ? `<${url}>` : url;
+
+  return title ? `${destination} "${title.replace(/(["\\])/g, '\\$1')}"` : destination;
+}
+
+/**
+ * Escape the characters that have a special meaning in inline Markdown.
+ * @param {string} text The text to escape.
+ * @return {string} The escaped text.
+ */
+function escapeMarkdown(text) {
+  return text.replace(/([\\`*_[\]~<>])/g, '\\$1');
+}
+
+/**
+ * Escape the characters that would start a block at the beginning of lines.
+ * @param {string} text The text to escape.
+ * @return {string} The escaped text.
+ */
+function escapeLineStart(text) {
+  return text.split('\n').map(line => {
+    return line.replace(/^(\s*)([#+-])/, '$1\\$2').replace(/^(\s*\d+)([.)])/, '$1\\$2');
+  }).join('\n');
+}
+
+export {
+  fromMarkdown,
+  toMarkdown
+};
\ No newline at end of file
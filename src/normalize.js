@@ -0,0 +1,154 @@
+import toolset from './toolset.js';
+import {
+  buildFragment,
+  createElement,
+  getFragmentContent
+} from './utils.js';
+
+// Patterns that identify content copied from office suites
+const officeSources = {
+  googleDocs: /id="docs-internal-guid/,
+  word: /urn:schemas-microsoft-com:office|class="?Mso|mso-/i,
+  libreOffice: /<meta[^>]+LibreOffice/i
+};
+
+// Elements added by office suites that have no place in the content
+const officeJunk = ['meta', 'link', 'title', 'xml', 'o\\:p', 'br.Apple-interchange-newline'];
+
+// Inline styles that are converted to the tags of the matching tools
+const styledTools = [
+  {
+    tool: 'bold',
+    property: 'font-weight',
+    pattern: /^(bold|bolder|[6-9]00)$/
+  },
+  {
+    tool: 'italic',
+    property: 'font-style',
+    pattern: /^(italic|oblique)/
+  },
+  {
+    tool: 'underline',
+    property: 'text-decoration',
+    pattern: /underline/
+  },
+  {
+    tool: 'strike',
+    property: 'text-decoration',
+    pattern: /line-through/
+  }
+];
+
+/**
+ * Normalize content copied from Word, Google Docs or LibreOffice before it's filtered.
+ * @param {string} html The pasted HTML content.
+ * @return {string} The normalized HTML content.
+ */
+function normalizePastedContent(html) {
+  const source = Object.keys(officeSources).find(name => officeSources[name].test(html));
+
+  if (!source) {
+    return html;
+  }
+
+  const fragment = buildFragment(html);
+
+  fragment.querySelectorAll(officeJunk.join()).forEach(element => {
+    element.remove();
+  });
+
+  // Google Docs wraps the whole content in a <b> tag with a normal font weight
+  fragment.querySelectorAll('b[id^="docs-internal-guid"]').forEach(wrapper => {
+    wrapper.replaceWith(...wrapper.childNodes);
+  });
+
+  if (source === 'word') {
+    rebuildWordLists(fragment);
+  }
+
+  convertStyledText(fragment);
+
+  return getFragmentContent(fragment);
+}
+
+/**
+ * Wrap the content of elements formatted with inline styles in semantic tags.
+ * @param {object} fragment The document fragment.
+ */
+function convertStyledText(fragment) {
+  fragment.querySelectorAll('[style]').forEach(element => {
+    const style = element.style;
+    const tags = styledTools.filter(({ property, pattern }) => {
+      // Word and LibreOffice also use the text-decoration-line property
+      const value = style.getPropertyValue(property) || style.getPropertyValue(`${property}-line`);
+
+      return pattern.test(value.trim());
+    }).map(({ tool }) => toolset[tool].tags[0]);
+
+    if (!tags.length) {
+      return;
+    }
+
+    // Nest the semantic tags inside the element, e.g: <span><strong><em>text</em></strong></span>
+    const outer = createElement(tags[0]);
+    const inner = tags.slice(1).reduce((parent, tag) => parent.appendChild(createElement(tag)), outer);
+
+    inner.append(...element.childNodes);
+    element.appendChild(outer);
+  });
+}
+
+/**
+ * Convert Word's list paragraphs to actual lists.
+ * @param {object} fragment The document fragment.
+ */
+function rebuildWordLists(fragment) {
+  const paragraphs = Array.from(fragment.querySelectorAll('p')).filter(paragraph => {
+    return /mso-list:\s*l\d+ level\d+/i.test(paragraph.getAttribute('style'));
+  });
+  let lists = [];
+
+  paragraphs.forEach(paragraph => {
+    const level = +paragraph.getAttribute('style').match(/level(\d+)/i)[1];
+    const marker = Array.from(paragraph.querySelectorAll('span')).find(span => {
+      return /mso-list:\s*ignore/i.test(span.getAttribute('style'));
+    });
+
+    // Numbered markers (e.g: "1.", "a)", "iv.") are used by ordered lists
+    const isOrdered = marker && /^(\d+|[a-z]|[ivxlc]+)[.)]/i.test(marker.textContent.trim());
+
+    if (marker) {
+      marker.remove();
+    }
+
+    // Start a new list unless the paragraph follows a list item
+    if (!lists.length || paragraph.previousElementSibling !== lists[0]) {
+      lists = [];
+    }
+
+    // Close the nested lists deeper than the current level
+    lists.length = Math.min(lists.length, level);
+
+    // Open new nested lists up to the current level
+    while (lists.length < level) {
+      const list = createElement(isOrdered ? 'ol' : 'ul');
+      const parent = lists[lists.length - 1];
+
+      if (parent) {
+        (parent.lastElementChild || parent.appendChild(createElement('li'))).appendChild(list);
+      } else {
+        paragraph.before(list);
+      }
+
+      lists.push(list);
+    }
+
+    const item = createElement('li');
+
+    item.append(...paragraph.childNodes);
+    lists[level - 1].appendChild(item);
+    paragraph.remove();
+  });
+}
+
+export { normalizePastedContent };
\ No newline at end of file
@@ -0,0 +1,50 @@
+import document from 'document';
+import { addListener, getTranslation } from './utils.js';
+
+// The CSS class of editors that show their placeholder text
+const emptyClass = 'wysi-empty';
+
+// Elements that can make up an empty editor on their own
+const emptyElements = ['P', 'DIV', 'BR'];
+
+/**
+ * Set the placeholder text of an editor instance.
+ * @param {object} editor The editor element.
+ * @param {string} [text] The placeholder text.
+ */
+function setPlaceholder(editor, text) {
+  if (text) {
+    const placeholder = getTranslation('placeholder', text);
+
+    editor.setAttribute('data-placeholder', placeholder);
+    editor.setAttribute('aria-placeholder', placeholder);
+  } else {
+    editor.removeAttribute('data-placeholder');
+    editor.removeAttribute('aria-placeholder');
+  }
+
+  updatePlaceholder(editor);
+}
+
+/**
+ * Show or hide the placeholder text of an editor instance depending on its content.
+ * @param {object} editor The editor element.
+ */
+function updatePlaceholder(editor) {
+  const children = editor.children;
+  const child = children[0];
+
+  // The editor is empty if it has no text and contains nothing but a lone empty paragraph or line break
+  const isEmpty = editor.textContent === '' && (
+    !child || (children.length === 1 && emptyElements.includes(child.tagName) && !child.querySelector(':not(br)'))
+  );
+
+  editor.classList.toggle(emptyClass, isEmpty && editor.hasAttribute('data-placeholder'));
+}
+
+// Update the placeholder's visibility when the content changes
+addListener(document, 'input', '.wysi-editor', event => {
+  updatePlaceholder(event.target);
+});
+
+export { setPlaceholder };
\ No newline at end of file
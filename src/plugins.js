@@ -0,0 +1,65 @@
+import document from 'document';
+import toolset from './toolset.js';
+import { buildFragment, DOMReady } from './utils.js';
+
+// Form field types supported in the popover of custom tools
+const fieldTypes = ['text', 'segmented', 'select'];
+
+/**
+ * Register a custom tool, or replace an existing one.
+ * @param {string} name The tool's name, as used in the tools option.
+ * @param {object} definition The tool's definition.
+ */
+function registerTool(name, definition) {
+  const tool = Object.assign({}, definition);
+  const fields = (tool.fields || []).map(field => {
+    const type = fieldTypes.includes(field.type) ? field.type : 'text';
+
+    return Object.assign({ options: [] }, field, { type });
+  });
+
+  // Tools with form fields open a popover
+  if (fields.length) {
+    tool.fields = fields;
+    tool.hasForm = true;
+  } else {
+    delete tool.fields;
+  }
+
+  tool.label = tool.label || name;
+  toolset[name] = tool;
+
+  // The icon is added to the embedded SVG icons once they are in the document
+  if (tool.icon) {
+    DOMReady(addToolIcon, [name, tool.icon]);
+  }
+}
+
+/**
+ * Add the icon of a custom tool to the embedded SVG icons.
+ * @param {string} name The tool's name.
+ * @param {string} icon The SVG code of the icon.
+ */
+function addToolIcon(name, icon) {
+  const icons = document.querySelector('#wysi-svg-icons defs');
+  const svg = buildFragment(icon).querySelector('svg');
+
+  if (!icons || !svg) {
+    return;
+  }
+
+  const id = `wysi-${name}`;
+  const viewBox = svg.getAttribute('viewBox') || '0 0 24 24';
+  const existing = document.getElementById(id);
+
+  // The symbol is parsed within an SVG element to get the right namespace
+  const symbol = buildFragment(`<svg><symbol id="${id}" viewBox="${viewBox}">${svg.innerHTML}</symbol></svg>`).querySelector('symbol');
+
+  if (existing) {
+    existing.remove();
+  }
+
+  icons.appendChild(symbol);
+}
+
+export { registerTool };
\ No newline at end of file
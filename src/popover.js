@@ -1,14 +1,20 @@
 import document from 'document';
-import toolset from './toolset.js';
+import toolset, { getFormOptions } from './toolset.js';
 import { renderListBox, selectListBoxItem } from './listbox.js';
-import { selectedClass } from './common.js';
+import { instances, selectedClass } from './common.js';
 import { execAction } from './commands.js';
+import { canUploadImages, uploadImages } from './upload.js';
+import { getActiveColor, normalizeColor } from './color.js';
+import { isAllowedUrl, normalizeLinkUrl } from './filter.js';
+import { findImageFigure } from './figure.js';
+import { hasClass } from './shortcuts.js';
 import {
   addListener,
   createElement,
   findInstance,
   getCurrentSelection,
   getFragmentContent,
+  getInstanceId,
   getTranslation,
   restoreSelection,
   setCurrentSelection,
@@ -22,12 +28,15 @@ let uniqueFieldId = 0;
  * Render a popover form to set a tool's parameters.
  * @param {string} toolName The tool name.
  * @param {object} button The tool's toolbar button.
+ * @param {object} formOptions The tool's form options.
  * @return {object} A DOM element containing the button and the popover.
  */
-function renderPopover(toolName, button) {
+function renderPopover(toolName, button, formOptions) {
   const tool = toolset[toolName];
   const labels = tool.attributeLabels;
-  const fields = tool.attributes.map((attribute, i) => {
+
+  // Custom tools declare their own form fields
+  const fields = tool.fields ? [] : (tool.attributes || []).map((attribute, i) => {
     return {
       name: attribute,
       label: getTranslation(toolName, labels[i]),
@@ -52,8 +61,8 @@ function renderPopover(toolName, button) {
   wrapper.appendChild(popover);
 
   fields.forEach(field => {
-    // Link target requires special handling later
-    if (toolName !== 'link' || field.name !== 'target') {
+    // Link target and relationship require special handling later
+    if (toolName !== 'link' || !['target', 'rel'].includes(field.name)) {
       const label = createElement('label');
       const span = createElement('span', { _textContent: field.label });
       const input = createElement('input', {
@@ -70,16 +79,33 @@ function renderPopover(toolName, button) {
 
   // Link popover
   if (toolName === 'link') {
+    // Invalid URLs are reported below the URL field
+    const urlInput = popover.querySelector('[data-attribute="href"]');
+
+    if (urlInput) {
+      renderFieldError(urlInput);
+    }
+
     // Add the target attribute
     const targetField = fields.find(f => f.name === 'target');
 
     if (targetField) {
       targetField.toolName = toolName;
-      targetField.options = tool.formOptions ? tool.formOptions.target || [] : [];
+      targetField.options = formOptions.target || [];
       popover.appendChild(createElement('span', { _textContent: targetField.label }));
       popover.appendChild(renderSegmentedField(targetField));
     }
 
+    // Add the relationship attribute
+    const relField = fields.find(f => f.name === 'rel');
+
+    if (relField) {
+      relField.toolName = toolName;
+      relField.options = formOptions.rel || [];
+      popover.appendChild(createElement('span', { _textContent: relField.label }));
+      popover.appendChild(renderCheckboxField(relField));
+    }
+
     // The link popover needs an extra "Remove link" button
     const extraTool = 'unlink';
     const label = getTranslation(toolName, toolset[extraTool].label);
@@ -95,6 +121,29 @@ function renderPopover(toolName, button) {
 
   // Image popover
   if (toolName === 'image') {
+    // Upload button and its hidden file picker, right after the URL field
+    popover.firstElementChild.after(createElement('button', {
+      type: 'button',
+      'data-upload': '',
+      _textContent: getTranslation(toolName, 'Upload')
+    }), createElement('input', {
+      type: 'file',
+      accept: 'image/*',
+      tabindex: -1,
+      hidden: true
+    }));
+
+    // Captioned images are wrapped in a figure
+    const captionLabel = createElement('label');
+
+    captionLabel.appendChild(createElement('span', { _textContent: getTranslation(toolName, tool.captionLabel) }));
+    captionLabel.appendChild(createElement('input', {
+      type: 'text',
+      name: 'wysi-caption',
+      'data-attribute': 'caption'
+    }));
+    popover.appendChild(captionLabel);
+
     const imageSettings = tool.extraSettings.map((setting, i) => {
       return {
         name: setting,
@@ -104,25 +153,196 @@ function renderPopover(toolName, button) {
 
     imageSettings.forEach(setting => {
       setting.toolName = toolName;
-      setting.options = tool.formOptions ? tool.formOptions[setting.name] || [] : [];
+      setting.options = formOptions[setting.name] || [];
       popover.appendChild(createElement('span', { _textContent: setting.label }));
       popover.appendChild(renderSegmentedField(setting));
     });
   }
 
+  // Table popover
+  if (toolName === 'table') {
+    renderTableFields(tool, popover);
+  }
+
+  // Color popover
+  if (formOptions.colors) {
+    renderColorFields(toolName, tool, formOptions, popover);
+  }
+
+  // Custom tool popover
+  if (tool.fields) {
+    tool.fields.forEach(field => {
+      popover.appendChild(renderCustomField(toolName, field));
+    });
+  }
+
   const cancel = createElement('button', {
     type: 'button',
     _textContent: getTranslation('popover', 'Cancel')
   });
 
-  const save = createElement('button', {
+  popover.appendChild(cancel);
+
+  // The table popover and the class based color popovers execute their actions directly
+  if (toolName !== 'table' && !(formOptions.colors && formOptions.classPrefix)) {
+    popover.appendChild(createElement('button', {
+      type: 'button',
+      'data-action': toolName,
+      _textContent: getTranslation('popover', 'Save')
+    }));
+  }
+
+  return wrapper;
+}
+
+/**
+ * Render the table size picker and the current cell actions.
+ * @param {object} tool The table tool.
+ * @param {object} popover The popover element.
+ */
+function renderTableFields(tool, popover) {
+  const toolName = 'table';
+  const gridLabel = getTranslation(toolName, tool.gridLabel);
+  const actionsLabel = getTranslation(toolName, tool.actionsLabel);
+  const grid = createElement('fieldset', { class: 'wysi-table-grid' });
+  const actions = createElement('fieldset', { class: 'wysi-table-actions' });
+
+  grid.appendChild(createElement('legend', { _textContent: gridLabel }));
+  actions.appendChild(createElement('legend', { _textContent: actionsLabel }));
+
+  // Table size picker
+  for (let row = 1; row <= tool.gridSize.rows; row++) {
+    for (let column = 1; column <= tool.gridSize.columns; column++) {
+      grid.appendChild(createElement('button', {
+        type: 'button',
+        'aria-label': `${gridLabel} ${row} × ${column}`,
+        'data-rows': row,
+        'data-columns': column
+      }));
+    }
+  }
+
+  // Current cell actions
+  for (const action in tool.actions) {
+    actions.appendChild(createElement('button', {
+      type: 'button',
+      'data-option': action,
+      _textContent: getTranslation(toolName, tool.actions[action])
+    }));
+  }
+
+  popover.appendChild(createElement('span', { _textContent: gridLabel }));
+  popover.appendChild(grid);
+  popover.appendChild(createElement('span', { _textContent: actionsLabel }));
+  popover.appendChild(actions);
+}
+
+/**
+ * Render the color palette and the custom color field of a color tool.
+ * @param {string} toolName The tool name.
+ * @param {object} tool The color tool.
+ * @param {object} formOptions The tool's form options.
+ * @param {object} popover The popover element.
+ */
+function renderColorFields(toolName, tool, formOptions, popover) {
+  const paletteLabel = getTranslation(toolName, tool.paletteLabel);
+  const removeLabel = getTranslation(toolName, tool.removeLabel);
+  const palette = createElement('fieldset', { class: 'wysi-palette' });
+
+  palette.appendChild(createElement('legend', { _textContent: paletteLabel }));
+
+  // The first swatch removes the color
+  palette.appendChild(createElement('button', {
     type: 'button',
-    'data-action': toolName,
-    _textContent: getTranslation('popover', 'Save')
+    title: removeLabel,
+    'aria-label': removeLabel,
+    'data-option': '',
+    _innerHTML: `<svg><use href="#wysi-delete"></use></svg>`
+  }));
+
+  formOptions.colors.forEach(color => {
+    const label = getTranslation(toolName, color.label);
+
+    palette.appendChild(createElement('button', {
+      type: 'button',
+      title: label,
+      'aria-label': label,
+      'data-option': color.value,
+      style: `background-color: ${color.value}`
+    }));
   });
 
-  popover.appendChild(cancel);
-  popover.appendChild(save);
+  popover.appendChild(createElement('span', { _textContent: paletteLabel }));
+  popover.appendChild(palette);
+
+  // Class based colors are limited to the palette
+  if (!formOptions.classPrefix) {
+    const label = createElement('label');
+
+    const input = createElement('input', {
+      type: 'text',
+      name: `wysi-${toolName}`,
+      placeholder: '#000000',
+      'data-attribute': 'color'
+    });
+
+    label.appendChild(createElement('span', { _textContent: getTranslation(toolName, tool.customLabel) }));
+    label.appendChild(input);
+    popover.appendChild(label);
+
+    // Invalid colors are reported below the field
+    renderFieldError(input);
+  }
+}
+
+/**
+ * Render a form field of a custom tool.
+ * @param {string} toolName The tool name.
+ * @param {object} field The field definition (name, label, type and options).
+ * @return {object} A DOM element containing the field.
+ */
+function renderCustomField(toolName, field) {
+  const label = getTranslation(toolName, field.label || field.name);
+
+  if (field.type === 'segmented') {
+    const fragment = document.createDocumentFragment();
+
+    fragment.appendChild(createElement('span', { _textContent: label }));
+    fragment.appendChild(renderSegmentedField({
+      name: field.name,
+      label,
+      toolName,
+      options: field.options
+    }));
+
+    return fragment;
+  }
+
+  const wrapper = createElement('label');
+  let input;
+
+  if (field.type === 'select') {
+    input = createElement('select', {
+      name: `wysi-${field.name}`,
+      'data-attribute': field.name
+    });
+
+    field.options.forEach(option => {
+      input.appendChild(createElement('option', {
+        value: option.value,
+        _textContent: getTranslation(toolName, option.label)
+      }));
+    });
+  } else {
+    input = createElement('input', {
+      type: 'text',
+      name: `wysi-${field.name}`,
+      'data-attribute': field.name
+    });
+  }
+
+  wrapper.appendChild(createElement('span', { _textContent: label }));
+  wrapper.appendChild(input);
 
   return wrapper;
 }
@@ -162,13 +382,89 @@ function renderSegmentedField(field) {
   return segmented;
 }
 
+/**
+ * Render a form field with several checkboxes, whose values are combined.
+ * @param {object} field The field attributes.
+ * @return {object} A DOM element representing the checkbox field.
+ */
+function renderCheckboxField(field) {
+  const checkboxes = createElement('fieldset', {
+    class: 'wysi-checkboxes'
+  });
+
+  // Add the fieldset legend for accessibility
+  checkboxes.appendChild(createElement('legend', { _textContent: field.label }));
+
+  // Add field options
+  field.options.forEach(option => {
+    const checkboxId = uniqueFieldId++;
+
+    checkboxes.appendChild(createElement('input', {
+      id: `wysi-check-${checkboxId}`,
+      type: 'checkbox',
+      'data-attribute': field.name,
+      value: option.value
+    }));
+
+    checkboxes.appendChild(createElement('label', {
+      for: `wysi-check-${checkboxId}`,
+      _textContent: getTranslation(field.toolName, option.label)
+    }));
+  });
+
+  return checkboxes;
+}
+
+/**
+ * Add an error message below a text field, hidden until the field is not valid.
+ * @param {object} input The text field, inside its label.
+ */
+function renderFieldError(input) {
+  const error = createElement('span', {
+    id: `wysi-error-${uniqueFieldId++}`,
+    class: 'wysi-field-error',
+    role: 'alert',
+    hidden: true
+  });
+
+  input.setAttribute('aria-describedby', error.id);
+  input.parentNode.after(error);
+}
+
+/**
+ * Show an error message below a popover field, or hide it.
+ * @param {object} input The field.
+ * @param {string} [message] The error message (hides the error if empty).
+ */
+function setFieldError(input, message) {
+  // The toolbars of the instances are copies, so the error is found next to the field's label instead of by id
+  const error = input.parentNode.nextElementSibling;
+
+  if (!error || !hasClass(error, 'wysi-field-error')) {
+    return;
+  }
+
+  error.textContent = message || '';
+  error.hidden = !message;
+
+  if (message) {
+    input.setAttribute('aria-invalid', true);
+  } else {
+    input.removeAttribute('aria-invalid');
+  }
+}
+
 /**
  * Open a popover.
  * @param {object} button The popover's button.
  */
 function openPopover(button) {
-  const inputs = button.nextElementSibling.querySelectorAll('input[type="text"]');
-  const radioButtons = button.nextElementSibling.querySelectorAll('input[type="radio"]');
+  const popover = button.nextElementSibling;
+  const inputs = popover.querySelectorAll('input[type="text"], select');
+  const radioButtons = popover.querySelectorAll('input[type="radio"]');
+  const checkboxes = popover.querySelectorAll('input[type="checkbox"]');
+  const tableActions = popover.querySelector('.wysi-table-actions');
+  const uploadButton = popover.querySelector('[data-upload]');
   const selection = document.getSelection();
   const anchorNode = selection.anchorNode;
   const { editor, nodes } = findInstance(anchorNode);
@@ -178,11 +474,16 @@ function openPopover(button) {
     // Try to find an existing target of the popover's action from the DOM selection
     const action = button.dataset.action;
     const tool = toolset[action];
-    let target = editor.querySelector(`.${selectedClass}`);
+    const instanceFormOptions = instances[getInstanceId(editor)].formOptions;
+    const formOptions = getFormOptions(action, instanceFormOptions);
+
+    // Tools without attributes (e.g: table) never modify an existing element
+    const canModify = !!(tool.tags && tool.attributes);
+    let target = canModify ? editor.querySelector(`.${selectedClass}`) : null;
     let selectContents = false;
 
     // If that fails, look for an element with the selection CSS class
-    if (!target) {
+    if (!target && canModify) {
       target = nodes.filter(node => tool.tags.includes(node.tagName.toLowerCase()))[0];
       selectContents = true;
     }
@@ -190,13 +491,16 @@ function openPopover(button) {
     // If an existing target is found, we will be in modification mode
     if (target) {
       const range = document.createRange();
+
+      // Captioned images are replaced along with their figure, which holds their size and position
+      const figure = action === 'image' ? findImageFigure(target) : null;
       
       // Add the target to a selection range
       // Depending on the type of the target, select the whole node or just its contents
       if (selectContents) {
         range.selectNodeContents(target);
       } else {
-        range.selectNode(target);
+        range.selectNode(figure || target);
       }
 
       // Save the current selection for later use
@@ -210,7 +514,7 @@ function openPopover(button) {
       // Process extra popover settings
       if (tool.extraSettings) {
         tool.extraSettings.forEach(setting => {
-          const settingOptions = tool.formOptions[setting];
+          const settingOptions = formOptions[setting];
 
           for (const option of settingOptions) {
             if (!option.criterion) {
@@ -220,7 +524,9 @@ function openPopover(button) {
             const key = Object.keys(option.criterion)[0];
             const value = option.criterion[key];
 
-            if (target.style[key] && target.style[key] === value) {
+            const style = (figure || target).style;
+
+            if (style[key] && style[key] === value) {
               values[setting] = option.value;
               break;
             }
@@ -228,6 +534,18 @@ function openPopover(button) {
         });
       }
 
+      if (figure) {
+        values.caption = figure.querySelector('figcaption').textContent.trim();
+      }
+
+    // Color tools show the color of the selection
+    } else if (formOptions.colors) {
+      values.color = getActiveColor(nodes, action, instanceFormOptions);
+
+      if (selection && editor.contains(anchorNode) && selection.rangeCount) {
+        setCurrentSelection(selection.getRangeAt(0));
+      }
+
     // If no existing target is found, we are adding new content
     } else if (selection && editor.contains(anchorNode) && selection.rangeCount) {
       // Save the current selection to keep track of where to insert the content
@@ -237,28 +555,71 @@ function openPopover(button) {
 
   // Populate the input fields with the existing values if any
   inputs.forEach(input => {
-    input.value = values[input.dataset.attribute] || '';
+    input.value = values[input.dataset.attribute] || getDefaultValue(button, input.dataset.attribute);
   });
 
   // Check the relevent radio fields if any
   radioButtons.forEach(radio => {
-    const value = values[radio.dataset.attribute] || '';
+    const value = values[radio.dataset.attribute] || getDefaultValue(button, radio.dataset.attribute);
 
     if (radio.value === value) {
       radio.checked = true;
     }
   });
 
+  // Check the values of the checkbox fields if any (e.g: rel="nofollow ugc")
+  checkboxes.forEach(checkbox => {
+    const checkedValues = (values[checkbox.dataset.attribute] || '').split(/\s+/);
+
+    checkbox.checked = checkedValues.includes(checkbox.value);
+  });
+
+  // Hide the errors of the previous attempt
+  inputs.forEach(input => setFieldError(input));
+
+  // The current cell actions are only available inside a table cell
+  if (tableActions) {
+    tableActions.disabled = !nodes.some(node => node.tagName === 'TD' || node.tagName === 'TH');
+  }
+
+  // The upload button is only available if the instance can upload images
+  if (uploadButton) {
+    uploadButton.hidden = !editor || !canUploadImages(editor);
+  }
+
   // Open this popover
   toggleButton(button, true);
 
   // Focus the first input field
-  inputs[0].focus();
+  popover.querySelector('input, select, button').focus();
+}
+
+/**
+ * Get the default value of a popover field.
+ * @param {object} button The popover's button.
+ * @param {string} name The field name.
+ * @return {string} The value set in the field definition of custom tools, or an empty string.
+ */
+function getDefaultValue(button, name) {
+  const fields = toolset[button.dataset.action].fields || [];
+  const field = fields.find(field => field.name === name);
+
+  if (!field) {
+    return '';
+  }
+
+  // Fields with options default to their first option
+  if (field.value === undefined) {
+    return field.options.length ? field.options[0].value : '';
+  }
+
+  return field.value;
 }
 
 /**
  * Execute a popover's action.
  * @param {object} button The popover's action button.
+ * @return {boolean} False if the popover's fields are not valid.
  */
 function execPopoverAction(button) {
   const action = button.dataset.action;
@@ -266,8 +627,38 @@ function execPopoverAction(button) {
   const inputs = button.parentNode.querySelectorAll('input[type="text"]');
   const radioButtons = button.parentNode.querySelectorAll('input[type="radio"]');
   const { editor } = findInstance(button);
+  const { fields } = toolset[action];
   const options = [];
 
+  // The values of custom fields are passed in the order of their definition
+  if (fields) {
+    fields.forEach(field => {
+      const selector = field.type === 'segmented' ? ':checked' : '';
+      const input = button.parentNode.querySelector(`[data-attribute="${field.name}"]${selector}`);
+
+      options.push(input ? input.value : '');
+    });
+
+    execAction(action, editor, options);
+    return;
+  }
+
+  // Links are validated before they're added
+  if (action === 'link') {
+    return execLinkAction(button, editor, selection);
+  }
+
+  // Custom colors are validated before they're applied
+  if (button.parentNode.querySelector('[data-attribute="color"]')) {
+    return execColorAction(button, editor);
+  }
+
+  // The image caption is passed after the original HTML
+  if (action === 'image') {
+    execImageAction(button, editor);
+    return;
+  }
+
   inputs.forEach(input => {
     options.push(input.value);
   });
@@ -278,21 +669,82 @@ function execPopoverAction(button) {
     }
   });
 
+  execAction(action, editor, options);
+}
+
+/**
+ * Validate the custom color field of a color popover, then apply the color.
+ * @param {object} button The popover's action button.
+ * @param {object} editor The editor element.
+ * @return {boolean} False if the color is not valid.
+ */
+function execColorAction(button, editor) {
+  const action = button.dataset.action;
+  const input = button.parentNode.querySelector('[data-attribute="color"]');
+  const color = normalizeColor(input.value);
+
+  // Colors are removed with the palette's remove button, so an empty field is not valid either
+  if (!color) {
+    setFieldError(input, getTranslation(action, toolset[action].invalidLabel));
+    input.focus();
+    return false;
+  }
+
+  execAction(action, editor, [color]);
+}
+
+/**
+ * Add or update an image using the fields of the image popover.
+ * @param {object} button The popover's action button.
+ * @param {object} editor The editor element.
+ */
+function execImageAction(button, editor) {
+  const form = button.parentNode;
+  const [url, alt, caption] = ['src', 'alt', 'caption'].map(name => form.querySelector(`input[data-attribute="${name}"]`).value);
+  const [size, position] = toolset.image.extraSettings.map(setting => {
+    const radio = form.querySelector(`[data-attribute="${setting}"]:checked`);
+
+    return radio ? radio.value : '';
+  });
+
   // Workaround for links being removed when updating images
-  if (action === 'image') {
-    const selected = editor.querySelector(`.${selectedClass}`);
-    const parent = selected ? selected.parentNode : {};
+  const selected = editor.querySelector(`.${selectedClass}`);
+  const parent = selected ? selected.parentNode : {};
+  const originalHtml = selected && parent.tagName === 'A' ? parent.outerHTML : '';
 
-    if (selected && parent.tagName === 'A') {
-      options.push(parent.outerHTML);
-    }
+  execAction('image', editor, [url, alt, size, position, originalHtml, caption.trim()]);
+}
 
-  // Save the content of the current selection to use as a link text
-  } else if (action === 'link' && selection) {
-    options.push(getFragmentContent(selection.cloneContents()));
+/**
+ * Validate the fields of the link popover, then add or update the link.
+ * @param {object} button The popover's action button.
+ * @param {object} editor The editor element.
+ * @param {object} [selection] The selection saved when the popover was opened.
+ * @return {boolean} False if the URL is not valid.
+ */
+function execLinkAction(button, editor, selection) {
+  const tool = toolset.link;
+  const form = button.parentNode;
+  const urlInput = form.querySelector('[data-attribute="href"]');
+  const titleInput = form.querySelector('[data-attribute="title"]');
+  const target = form.querySelector('[data-attribute="target"]:checked');
+  const rel = Array.from(form.querySelectorAll('[data-attribute="rel"]:checked')).map(checkbox => checkbox.value);
+  const { protocols } = instances[getInstanceId(editor)].allowedTags.a;
+
+  // Bare domains get a protocol (e.g: example.com becomes https://example.com)
+  const url = normalizeLinkUrl(urlInput.value);
+  const error = !url ? tool.invalidLabel : !isAllowedUrl(url, protocols) ? tool.protocolLabel : '';
+
+  if (error) {
+    setFieldError(urlInput, getTranslation('link', error));
+    urlInput.focus();
+    return false;
   }
 
-  execAction(action, editor, options);
+  // The content of the current selection is used as the link text
+  const text = selection ? getFragmentContent(selection.cloneContents()) : '';
+
+  execAction('link', editor, [url, target ? target.value : '', text, titleInput ? titleInput.value.trim() : '', rel.join(' ')]);
 }
 
 /**
@@ -320,10 +772,60 @@ addListener(document, 'click', '.wysi-popover > button', event => {
 
 // Execute the popover action
 addListener(document, 'click', '.wysi-popover > div > button[data-action]', event => {
-  execPopoverAction(event.target);
+  // The popover stays open until its fields are valid
+  if (execPopoverAction(event.target) !== false) {
+    closePopover(true);
+  } else {
+    event.stopImmediatePropagation();
+  }
+});
+
+// Apply a color of the palette
+addListener(document, 'click', '.wysi-palette button', event => {
+  const button = event.target;
+  const { editor } = findInstance(button);
+  const action = button.closest('.wysi-popover').firstElementChild.dataset.action;
+
+  execAction(action, editor, [button.dataset.option]);
+  closePopover(true);
+});
+
+// Hide the error of a field once it's edited
+addListener(document, 'input', '.wysi-popover [aria-invalid]', event => {
+  setFieldError(event.target);
+});
+
+// Execute a table action
+addListener(document, 'click', '.wysi-table-grid button, .wysi-table-actions button', event => {
+  const button = event.target;
+  const { editor } = findInstance(button);
+  const { option, rows, columns } = button.dataset;
+
+  execAction('table', editor, option ? [option] : ['insert', rows, columns]);
   closePopover(true);
 });
 
+// Open the file picker of the image popover
+addListener(document, 'click', '.wysi-popover [data-upload]', event => {
+  event.target.nextElementSibling.click();
+  event.stopImmediatePropagation();
+});
+
+// Upload the images picked in the image popover
+addListener(document, 'change', '.wysi-popover input[type="file"]', event => {
+  const input = event.target;
+  const { editor } = findInstance(input);
+
+  // Restore the selection saved when the popover was opened
+  closePopover();
+
+  if (canUploadImages(editor)) {
+    uploadImages(editor, input.files);
+  }
+
+  input.value = '';
+});
+
 // Cancel the popover
 addListener(document, 'click', '.wysi-popover > div > button:not([data-action])', event => {
   closePopover();
@@ -342,7 +844,7 @@ addListener(document, 'keydown', '.wysi-popover *', event => {
 
   switch (event.key) {
     case 'Tab':
-      const firstField = form.querySelector('input');
+      const firstField = form.querySelector('input, select, button');
 
       if (event.shiftKey) {
         if (target === firstField) {
@@ -357,7 +859,7 @@ addListener(document, 'keydown', '.wysi-popover *', event => {
       }
       break;
     case 'Enter':
-      if (target.tagName === 'INPUT') {
+      if (target.tagName === 'INPUT' || target.tagName === 'SELECT') {
         const actionButton = form.querySelector('[data-action]:last-of-type');
 
         actionButton.click();
@@ -0,0 +1,112 @@
+import window from 'window';
+import { instances, sourceViewClass } from './common.js';
+import { updateHistoryButtons } from './history.js';
+import {
+  findInstance,
+  getInstanceId,
+  toggleButton
+} from './utils.js';
+import { hasClass } from './shortcuts.js';
+
+// Attributes of the textarea that make an editor instance read-only
+const fieldAttributes = ['disabled', 'readonly'];
+
+// Tools that remain available in the HTML source view
+const sourceViewTools = ['source', 'fullscreen'];
+
+// Observers of the textareas' attributes by instance id
+const observers = {};
+
+/**
+ * Keep the read-only state of an editor instance in sync with its textarea.
+ * @param {object} editor The editor element.
+ * @param {object} field The instance's textarea field.
+ */
+function initReadOnly(editor, field) {
+  const observer = new window.MutationObserver(() => {
+    updateReadOnly(editor);
+  });
+
+  observer.observe(field, { attributes: true, attributeFilter: fieldAttributes });
+  observers[getInstanceId(editor)] = observer;
+
+  updateReadOnly(editor);
+}
+
+/**
+ * Stop following the textarea of an editor instance.
+ * @param {string} instanceId The instance id.
+ */
+function clearReadOnly(instanceId) {
+  if (observers[instanceId]) {
+    observers[instanceId].disconnect();
+    delete observers[instanceId];
+  }
+}
+
+/**
+ * Apply the read-only state of an editor instance from its options and its textarea.
+ * @param {object} editor The editor element.
+ */
+function updateReadOnly(editor) {
+  const { toolbar } = findInstance(editor);
+  const wrapper = editor.parentNode;
+  const field = wrapper.nextElementSibling;
+  const instance = instances[getInstanceId(editor)];
+
+  if (!instance || !field) {
+    return;
+  }
+
+  const isDisabled = field.disabled;
+  const readOnly = !!instance.readOnly || isDisabled || field.readOnly;
+
+  wrapper.classList.toggle('wysi-readonly', readOnly);
+
+  if (readOnly) {
+    editor.removeAttribute('contenteditable');
+  } else {
+    editor.setAttribute('contenteditable', true);
+  }
+
+  editor.setAttribute('aria-readonly', readOnly);
+  editor.setAttribute('aria-disabled', isDisabled);
+  toolbar.setAttribute('aria-disabled', readOnly);
+
+  // Close the instance's open popover or list box if any
+  toolbar.querySelectorAll('[aria-expanded="true"]').forEach(button => {
+    toggleButton(button, false);
+  });
+
+  const isSourceView = hasClass(wrapper, sourceViewClass);
+
+  toolbar.querySelectorAll('button, input, select').forEach(control => {
+    control.disabled = readOnly || (isSourceView && !sourceViewTools.includes(control.dataset.action));
+  });
+
+  // The HTML source view's textarea can't be edited either
+  wrapper.querySelectorAll('textarea').forEach(textarea => {
+    textarea.readOnly = readOnly;
+  });
+
+  // Undo and redo buttons depend on the history
+  if (!readOnly && !isSourceView) {
+    updateHistoryButtons(editor);
+  }
+}
+
+/**
+ * Check if an editor instance is read-only.
+ * @param {object} editor The editor element.
+ * @return {boolean} True if the instance is read-only.
+ */
+function isReadOnly(editor) {
+  return hasClass(editor.parentNode, 'wysi-readonly');
+}
+
+export {
+  clearReadOnly,
+  initReadOnly,
+  isReadOnly,
+  updateReadOnly
+};
\ No newline at end of file
@@ -6,7 +6,7 @@ export default {
 
   // Default tools in the toolbar
   tools: [
-    'format', '|', 'bold', 'italic', '|', 
+    'undo', 'redo', '|', 'format', '|', 'bold', 'italic', '|', 
     {
       label: 'Text alignment',
       items: ['alignLeft', 'alignCenter', 'alignRight', 'alignJustify']
@@ -14,9 +14,15 @@ export default {
     'ul', 'ol', '|', 'indent', 'outdent', '|', 'link', 'image'
   ],
 
-  // Enable dark mode (toolbar only)
+  // Enable dark mode (toolbar only), or 'auto' to follow the color scheme of the system or the page
   darkMode: false,
 
+  // In auto dark mode, a selector that enables dark mode when it matches the page's html or body element
+  darkModeSelector: '',
+
+  // A theme name, or an object of CSS variable overrides (dark mode replaces the light theme, not the other named themes)
+  theme: 'light',
+
   // Height of the editable region
   height: 200,
 
@@ -26,6 +32,42 @@ export default {
   // Hide the toolbar when the editable region is out of focus
   autoHide: false,
 
+  // Text shown when the editor is empty (defaults to the textarea's placeholder)
+  placeholder: '',
+
+  // Show a counter below the editor ('characters', 'words', true for both, or false)
+  counter: false,
+
+  // Maximum number of characters (defaults to the textarea's maxlength attribute)
+  maxLength: 0,
+
+  // Paste all content as plain text
+  pasteAsPlainText: false,
+
+  // Make the editor read-only (also enabled when the textarea is disabled or readonly)
+  readOnly: false,
+
+  // The format of the textarea's content ('html' or 'markdown')
+  outputFormat: 'html',
+
+  // Extra Markdown-style input rules, or false to disable input rules
+  inputRules: [],
+
+  // Turn web and email addresses into links when followed by a space or a line break (requires the link tool)
+  autoLink: false,
+
+  // Turn the selected text into a link when a web address is pasted over it (requires the link tool)
+  linkOnPaste: false,
+
+  // URL protocols allowed in links and images (relative URLs are always allowed)
+  allowedProtocols: ['http', 'https', 'mailto', 'tel'],
+
+  // Allow images embedded as data URLs
+  allowDataImages: false,
+
+  // CSS classes allowed in each tag (exact names, or patterns using * as a wildcard)
+  allowedClasses: {},
+
   // Default list of allowed tags
   // These tags are always allowed regardless of the instance options
   allowedTags: {
@@ -0,0 +1,243 @@
+import { instances, blockElements, sourceViewClass } from './common.js';
+import { prepareContent } from './filter.js';
+import { triggerHook } from './hooks.js';
+import { updateReadOnly } from './readonly.js';
+import {
+  buildFragment,
+  createElement,
+  getFragmentContent,
+  getInstanceId,
+  getTranslation
+} from './utils.js';
+import { dispatchEvent, hasClass } from './shortcuts.js';
+
+// Elements that are placed on their own lines in the HTML source
+const sourceBlocks = blockElements.concat(['FIGCAPTION', 'LI', 'THEAD', 'TBODY', 'TR', 'TH', 'TD']);
+
+// The indentation of nested elements
+const indentation = '  ';
+
+// Whitespace added to format the HTML source (non-breaking spaces are content)
+const formattingWhitespace = /^[ \t\r\n]+|[ \t\r\n]+$/g;
+
+/**
+ * Check if an editor instance shows its HTML source.
+ * @param {object} editor The editor element.
+ * @return {boolean} True if the HTML source view is open.
+ */
+function isSourceView(editor) {
+  return hasClass(editor.parentNode, sourceViewClass);
+}
+
+/**
+ * Open or close the HTML source view of an editor instance.
+ * @param {object} editor The editor element.
+ */
+function toggleSourceView(editor) {
+  if (isSourceView(editor)) {
+    closeSourceView(editor);
+  } else {
+    openSourceView(editor);
+  }
+}
+
+/**
+ * Replace the editable region of an editor instance with its HTML source.
+ * @param {object} editor The editor element.
+ */
+function openSourceView(editor) {
+  const { allowedTags } = instances[getInstanceId(editor)];
+  const source = createElement('textarea', {
+    class: 'wysi-source',
+    spellcheck: false,
+    'aria-label': getTranslation('source', 'HTML source'),
+    _value: formatHTML(prepareContent(editor.innerHTML, allowedTags, true))
+  });
+
+  // Keep the current height of the editable region
+  if (editor.offsetHeight) {
+    source.style.height = `${editor.offsetHeight}px`;
+  }
+
+  editor.hidden = true;
+  editor.after(source);
+  editor.parentNode.classList.add(sourceViewClass);
+  updateSourceButton(editor, true);
+
+  // Disable the other tools
+  updateReadOnly(editor);
+  source.focus();
+}
+
+/**
+ * Apply the edited HTML source to an editor instance and show its editable region again.
+ * @param {object} editor The editor element.
+ */
+function closeSourceView(editor) {
+  const source = editor.parentNode.querySelector('.wysi-source');
+  const stripped = { tags: [], attributes: [] };
+  const content = getSourceContent(editor, stripped);
+
+  source.remove();
+  editor.hidden = false;
+  editor.parentNode.classList.remove(sourceViewClass);
+  updateSourceButton(editor, false);
+  updateReadOnly(editor);
+
+  if (content !== editor.innerHTML) {
+    editor.innerHTML = content;
+
+    // Update the textarea and record the change in the history
+    dispatchEvent(editor, 'input');
+  }
+
+  // Report the tags and attributes that are not allowed in the instance
+  if (stripped.tags.length || stripped.attributes.length) {
+    triggerHook(editor, 'sourceStrip', stripped);
+  }
+}
+
+/**
+ * Get the filtered content of the HTML source view of an editor instance.
+ * @param {object} editor The editor element.
+ * @param {object} [stripped] If set, the names of the removed tags and attributes are added to its tags and attributes arrays.
+ * @return {string} The HTML content.
+ */
+function getSourceContent(editor, stripped) {
+  const { allowedTags } = instances[getInstanceId(editor)];
+  const source = editor.parentNode.querySelector('.wysi-source');
+
+  return prepareContent(removeFormatting(source.value), allowedTags, false, stripped);
+}
+
+/**
+ * Update the pressed state of the source tool's button.
+ * @param {object} editor The editor element.
+ * @param {boolean} isPressed The new state.
+ */
+function updateSourceButton(editor, isPressed) {
+  const button = editor.parentNode.querySelector('.wysi-toolbar [data-action="source"]');
+
+  if (button) {
+    button.setAttribute('aria-pressed', isPressed);
+  }
+}
+
+/**
+ * Indent HTML content, with each block element on its own line.
+ * @param {string} html The HTML content.
+ * @return {string} The formatted HTML content.
+ */
+function formatHTML(html) {
+  return formatNodes(buildFragment(html).childNodes, 0).replace(/\n$/, '');
+}
+
+/**
+ * Format a list of nodes.
+ * @param {object} nodes The nodes to format.
+ * @param {number} depth The nesting level of the nodes.
+ * @return {string} The formatted HTML code of the nodes.
+ */
+function formatNodes(nodes, depth) {
+  const indent = indentation.repeat(depth);
+  let html = '';
+
+  // Inline nodes are collected in an inert template, so that they are never loaded
+  let inline = createElement('template');
+
+  // Consecutive inline nodes are placed on the same line
+  const addInline = () => {
+    const code = inline.innerHTML.replace(formattingWhitespace, '');
+
+    if (code !== '') {
+      html += `${indent}${code}\n`;
+    }
+
+    inline = createElement('template');
+  };
+
+  Array.from(nodes).forEach(node => {
+    if (!isSourceBlock(node)) {
+      inline.content.appendChild(node.cloneNode(true));
+      return;
+    }
+
+    addInline();
+
+    // Block elements with nested blocks have their children on separate lines
+    if (Array.from(node.childNodes).some(isSourceBlock)) {
+      const closingTag = `</${node.tagName.toLowerCase()}>`;
+      const openingTag = node.cloneNode(false).outerHTML.slice(0, -closingTag.length);
+
+      html += `${indent}${openingTag}\n${formatNodes(node.childNodes, depth + 1)}${indent}${closingTag}\n`;
+    } else {
+      html += `${indent}${node.outerHTML}\n`;
+    }
+  });
+
+  addInline();
+
+  return html;
+}
+
+/**
+ * Remove the whitespace added to format HTML content.
+ * @param {string} html The formatted HTML content.
+ * @return {string} The HTML content.
+ */
+function removeFormatting(html) {
+  const fragment = buildFragment(html);
+
+  // The fragment is serialized inertly, since the source has not been filtered yet
+  removeFormattingWhitespace(fragment);
+
+  return getFragmentContent(fragment);
+}
+
+/**
+ * Remove the formatting whitespace around the block elements of a node (recursively).
+ * @param {object} node The parent node.
+ */
+function removeFormattingWhitespace(node) {
+  const children = Array.from(node.childNodes);
+
+  // Only the root and blocks with nested blocks are formatted
+  const isFormatted = node.nodeType === 11 || children.some(isSourceBlock);
+
+  children.forEach(child => {
+    if (child.nodeType === 1) {
+      removeFormattingWhitespace(child);
+    } else if (child.nodeType === 3 && isFormatted) {
+      const previous = child.previousSibling;
+      const next = child.nextSibling;
+
+      if (!previous || isSourceBlock(previous)) {
+        child.data = child.data.replace(/^[ \t\r\n]+/, '');
+      }
+
+      if (!next || isSourceBlock(next)) {
+        child.data = child.data.replace(/[ \t\r\n]+$/, '');
+      }
+
+      if (child.data === '') {
+        child.remove();
+      }
+    }
+  });
+}
+
+/**
+ * Check if a node is placed on its own line in the HTML source.
+ * @param {object} node The node.
+ * @return {boolean} True if the node is a block element.
+ */
+function isSourceBlock(node) {
+  return node.nodeType === 1 && sourceBlocks.includes(node.tagName);
+}
+
+export {
+  closeSourceView,
+  getSourceContent,
+  isSourceView,
+  toggleSourceView
+};
\ No newline at end of file
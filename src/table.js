@@ -0,0 +1,341 @@
+import document from 'document';
+import { addListener, createElement, setSelection } from './utils.js';
+import { isReadOnly } from './readonly.js';
+import { dispatchEvent, execCommand } from './shortcuts.js';
+
+// The CSS class of highlighted cells in the table size picker
+const highlightedClass = 'wysi-highlighted';
+
+/**
+ * Execute a table command.
+ * @param {object} editor The editor element.
+ * @param {array} options The command name followed by its parameters.
+ */
+function execTableCommand(editor, options) {
+  const [command, rows, columns] = options;
+
+  if (command === 'insert') {
+    insertTable(parseInt(rows, 10), parseInt(columns, 10));
+    return;
+  }
+
+  const cell = getCurrentCell(editor);
+
+  if (!cell) {
+    return;
+  }
+
+  const row = cell.parentNode;
+  const table = row.closest('table');
+  const columnIndex = cell.cellIndex;
+  let focusCell = cell;
+
+  switch (command) {
+    case 'addRowBefore':
+    case 'addRowAfter':
+      const newRow = createRow(row.cells.length);
+
+      // New rows are never added to the header
+      if (row.parentNode.tagName === 'THEAD') {
+        const body = table.tBodies[0] || table.appendChild(createElement('tbody'));
+
+        body.insertBefore(newRow, body.firstChild);
+      } else {
+        row.parentNode.insertBefore(newRow, command === 'addRowAfter' ? row.nextSibling : row);
+      }
+
+      focusCell = newRow.cells[Math.min(columnIndex, newRow.cells.length - 1)];
+      break;
+
+    case 'addColumnBefore':
+    case 'addColumnAfter':
+      Array.from(table.rows).forEach(tableRow => {
+        const reference = tableRow.cells[columnIndex];
+        const newCell = createCell(reference ? reference.tagName : 'td');
+
+        if (reference) {
+          tableRow.insertBefore(newCell, command === 'addColumnAfter' ? reference.nextSibling : reference);
+        } else {
+          tableRow.appendChild(newCell);
+        }
+      });
+
+      focusCell = row.cells[command === 'addColumnAfter' ? columnIndex + 1 : columnIndex];
+      break;
+
+    case 'deleteRow':
+      if (table.rows.length === 1) {
+        focusCell = removeTable(table);
+        break;
+      }
+
+      const section = row.parentNode;
+      const rowIndex = row.rowIndex;
+
+      row.remove();
+
+      if (!section.rows.length) {
+        section.remove();
+      }
+
+      const nextRow = table.rows[Math.min(rowIndex, table.rows.length - 1)];
+      focusCell = nextRow.cells[Math.min(columnIndex, nextRow.cells.length - 1)];
+      break;
+
+    case 'deleteColumn':
+      if (row.cells.length === 1) {
+        focusCell = removeTable(table);
+        break;
+      }
+
+      Array.from(table.rows).forEach(tableRow => {
+        if (tableRow.cells[columnIndex]) {
+          tableRow.cells[columnIndex].remove();
+        }
+      });
+
+      focusCell = row.cells[Math.min(columnIndex, row.cells.length - 1)];
+      break;
+
+    case 'toggleHeader':
+      focusCell = toggleHeaderRow(table, row, columnIndex) || cell;
+      break;
+
+    case 'deleteTable':
+      focusCell = removeTable(table);
+      break;
+  }
+
+  if (focusCell) {
+    selectCellContents(focusCell);
+  }
+
+  // The DOM was modified directly, so notify the other components of the change
+  dispatchEvent(editor, 'input');
+}
+
+/**
+ * Insert a new table at the current selection.
+ * @param {number} rows The number of rows.
+ * @param {number} columns The number of columns.
+ */
+function insertTable(rows, columns) {
+  if (!rows || !columns) {
+    return;
+  }
+
+  const cells = '<td><br></td>'.repeat(columns);
+  const tableRows = `<tr>${cells}</tr>`.repeat(rows);
+
+  // Add an empty paragraph after the table so that the user can keep writing
+  execCommand('insertHTML', `<table><tbody>${tableRows}</tbody></table><p><br></p>`);
+}
+
+/**
+ * Convert the first row of a table to a header row and vice versa.
+ * @param {object} table The table element.
+ * @param {object} row The current row.
+ * @param {number} columnIndex The index of the current cell.
+ * @return {object} The current cell after the conversion.
+ */
+function toggleHeaderRow(table, row, columnIndex) {
+  const header = table.tHead;
+  let headerRow;
+
+  if (header) {
+    // Move the header row back to the table body
+    const body = table.tBodies[0] || table.appendChild(createElement('tbody'));
+
+    headerRow = header.rows[0];
+    Array.from(headerRow.cells).forEach(cell => changeCellTag(cell, 'td'));
+    body.insertBefore(headerRow, body.firstChild);
+    header.remove();
+  } else {
+    // Move the first row of the table to a new header
+    const newHeader = table.createTHead();
+    const section = table.rows[0].parentNode;
+
+    headerRow = table.rows[0];
+    Array.from(headerRow.cells).forEach(cell => changeCellTag(cell, 'th'));
+    newHeader.appendChild(headerRow);
+
+    if (!section.rows.length) {
+      section.remove();
+    }
+  }
+
+  return row === headerRow ? headerRow.cells[columnIndex] : row.cells[columnIndex];
+}
+
+/**
+ * Remove a table and move the caret after it.
+ * @param {object} table The table element.
+ * @return {object} The element that follows the table if any.
+ */
+function removeTable(table) {
+  const next = table.nextElementSibling;
+
+  table.remove();
+  return next;
+}
+
+/**
+ * Create a table row.
+ * @param {number} length The number of cells in the row.
+ * @return {object} The table row element.
+ */
+function createRow(length) {
+  const row = createElement('tr');
+
+  for (let i = 0; i < length; i++) {
+    row.appendChild(createCell('td'));
+  }
+
+  return row;
+}
+
+/**
+ * Create an empty table cell.
+ * @param {string} tag The cell's tag (td or th).
+ * @return {object} The table cell element.
+ */
+function createCell(tag) {
+  return createElement(tag.toLowerCase(), { _innerHTML: '<br>' });
+}
+
+/**
+ * Replace a table cell with a cell of a different type while preserving its content.
+ * @param {object} cell The table cell.
+ * @param {string} tag The new cell's tag (td or th).
+ */
+function changeCellTag(cell, tag) {
+  const newCell = createElement(tag);
+
+  newCell.append(...cell.childNodes);
+  cell.replaceWith(newCell);
+}
+
+/**
+ * Get the table cell containing the current selection.
+ * @param {object} editor The editor element.
+ * @return {object} The table cell, or null if the selection is not in a table.
+ */
+function getCurrentCell(editor) {
+  const selection = document.getSelection();
+  let node = selection ? selection.anchorNode : null;
+
+  if (!node) {
+    return null;
+  }
+
+  if (node.nodeType !== 1) {
+    node = node.parentNode;
+  }
+
+  const cell = node.closest('td, th');
+
+  return cell && editor.contains(cell) ? cell : null;
+}
+
+/**
+ * Select the content of a table cell (or any other element).
+ * @param {object} cell The element to select.
+ */
+function selectCellContents(cell) {
+  const range = document.createRange();
+
+  range.selectNodeContents(cell);
+  setSelection(range);
+}
+
+/**
+ * Highlight the cells of the table size picker up to a given cell.
+ * @param {object} button The last cell to highlight.
+ */
+function highlightGridCells(button) {
+  const grid = button.parentNode;
+  const rows = +button.dataset.rows;
+  const columns = +button.dataset.columns;
+  const label = grid.previousElementSibling;
+
+  grid.querySelectorAll('button').forEach(cell => {
+    cell.classList.toggle(highlightedClass, +cell.dataset.rows <= rows && +cell.dataset.columns <= columns);
+  });
+
+  // Show the selected size next to the picker's label
+  label.dataset.size = `${rows} × ${columns}`;
+}
+
+// Move to the next/previous cell with Tab/Shift+Tab
+addListener(document, 'keydown', '.wysi-editor', event => {
+  if (event.key !== 'Tab' || event.ctrlKey || event.altKey || event.metaKey) {
+    return;
+  }
+
+  const editor = event.target;
+  const cell = getCurrentCell(editor);
+
+  if (!cell || isReadOnly(editor)) {
+    return;
+  }
+
+  const table = cell.closest('table');
+  let cells = Array.from(table.querySelectorAll('th, td'));
+  const index = cells.indexOf(cell) + (event.shiftKey ? -1 : 1);
+
+  // Tab in the last cell adds a new row
+  if (index === cells.length) {
+    execTableCommand(editor, ['addRowAfter']);
+    cells = Array.from(table.querySelectorAll('th, td'));
+  }
+
+  if (cells[index]) {
+    selectCellContents(cells[index]);
+  }
+
+  event.preventDefault();
+});
+
+// Highlight the cells of the table size picker
+addListener(document, 'mouseover', '.wysi-table-grid button', event => {
+  event.target.focus();
+});
+
+addListener(document, 'focusin', '.wysi-table-grid button', event => {
+  highlightGridCells(event.target);
+});
+
+// Keyboard navigation in the table size picker
+addListener(document, 'keydown', '.wysi-table-grid button', event => {
+  const button = event.target;
+  const grid = button.parentNode;
+  let rows = +button.dataset.rows;
+  let columns = +button.dataset.columns;
+
+  switch (event.key) {
+    case 'ArrowUp':
+      rows--;
+      break;
+    case 'ArrowDown':
+      rows++;
+      break;
+    case 'ArrowLeft':
+      columns--;
+      break;
+    case 'ArrowRight':
+      columns++;
+      break;
+    default:
+      return;
+  }
+
+  const target = grid.querySelector(`[data-rows="${rows}"][data-columns="${columns}"]`);
+
+  if (target) {
+    target.focus();
+  }
+
+  event.preventDefault();
+});
+
+export { execTableCommand };
\ No newline at end of file
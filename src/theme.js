@@ -0,0 +1,191 @@
+import window from 'window';
+import document from 'document';
+import { instances } from './common.js';
+import { findInstance, getInstanceId } from './utils.js';
+
+// The prefix of the CSS classes of named themes (e.g: wysi-theme-dark)
+const themeClassPrefix = 'wysi-theme-';
+
+// The theme that only uses the default values of the CSS variables
+const defaultTheme = 'light';
+
+// The CSS class of instances that follow the color scheme of the system or the page
+const autoDarkModeClass = 'wysi-auto-dark';
+
+// The CSS class of dark instances in earlier versions, kept for existing stylesheets
+const darkModeClass = 'wysi-darkmode';
+
+// The system's color scheme preference
+const darkSchemeQuery = window.matchMedia ? window.matchMedia('(prefers-color-scheme: dark)') : null;
+
+// The attributes of the page's html and body elements that can change its color scheme
+const colorSchemeAttributes = ['class'];
+
+// The color scheme changes are only watched once an instance needs it
+let isWatchingColorScheme = false;
+let colorSchemeObserver;
+
+/**
+ * Apply a theme to an editor instance.
+ * @param {object} wrapper The instance's wrapper element.
+ * @param {(string|object)} [theme] The name of a theme, or an object of CSS variable overrides.
+ * @param {(boolean|string)} [darkMode] Use the dark theme instead of the light one ('auto' to follow the color scheme).
+ * @param {string} [darkModeSelector] In auto mode, a selector that enables dark mode when it matches the page's html or body element.
+ */
+function setTheme(wrapper, theme, darkMode, darkModeSelector) {
+  const isAuto = darkMode === 'auto';
+  const isDark = isAuto ? prefersDarkMode(darkModeSelector) : !!darkMode;
+  // Dark mode only replaces the default theme, other named themes take precedence
+  const isNamed = typeof theme === 'string' && theme !== defaultTheme;
+  const name = isNamed ? theme : (isDark ? 'dark' : defaultTheme);
+  const overrides = theme && typeof theme === 'object' ? theme : {};
+
+  clearTheme(wrapper);
+
+  // In auto mode, the content area switches along with the rest of the instance
+  wrapper.classList.toggle(autoDarkModeClass, isAuto);
+
+  if (isAuto) {
+    watchColorScheme(darkModeSelector);
+  }
+
+  // Named themes are defined in CSS
+  if (name !== defaultTheme) {
+    wrapper.classList.add(`${themeClassPrefix}${name}`);
+  }
+
+  wrapper.classList.toggle(darkModeClass, name === 'dark');
+
+  // Overrides are set on the wrapper, so they only apply to this instance
+  for (const variable in overrides) {
+    wrapper.style.setProperty(getVariableName(variable), overrides[variable]);
+  }
+}
+
+/**
+ * Check if the system or the page prefers a dark color scheme.
+ * @param {string} [selector] A selector that enables dark mode when it matches the page's html or body element.
+ * @return {boolean} True if dark mode should be used.
+ */
+function prefersDarkMode(selector) {
+  if (selector && [document.documentElement, document.body].some(element => element && element.matches(selector))) {
+    return true;
+  }
+
+  return !!darkSchemeQuery && darkSchemeQuery.matches;
+}
+
+/**
+ * Update the theme of the instances in auto dark mode when the color scheme changes.
+ * @param {string} [selector] A selector that enables dark mode when it matches the page's html or body element.
+ */
+function watchColorScheme(selector) {
+  const attributes = getSelectorAttributes(selector).filter(name => !colorSchemeAttributes.includes(name));
+
+  if (!isWatchingColorScheme) {
+    isWatchingColorScheme = true;
+
+    // The system's color scheme
+    if (darkSchemeQuery) {
+      darkSchemeQuery.addEventListener('change', updateAutoThemes);
+    }
+
+    if (window.MutationObserver) {
+      colorSchemeObserver = new window.MutationObserver(updateAutoThemes);
+    }
+  } else if (!attributes.length) {
+    return;
+  }
+
+  colorSchemeAttributes.push(...attributes);
+
+  // The page's color scheme (e.g: a data-theme attribute), observing again replaces the previous list of attributes
+  if (colorSchemeObserver) {
+    [document.documentElement, document.body].forEach(element => {
+      if (element) {
+        colorSchemeObserver.observe(element, { attributes: true, attributeFilter: colorSchemeAttributes.slice() });
+      }
+    });
+  }
+}
+
+/**
+ * Get the names of the attributes used in a selector.
+ * @param {string} [selector] The selector (e.g: [data-theme="dark"]).
+ * @return {array} The attribute names.
+ */
+function getSelectorAttributes(selector) {
+  const attributes = (selector || '').match(/\[\s*[\w-]+/g) || [];
+
+  return attributes.map(attribute => attribute.replace(/^\[\s*/, '').toLowerCase());
+}
+
+/**
+ * Apply the current color scheme to the instances in auto dark mode.
+ */
+function updateAutoThemes() {
+  document.querySelectorAll(`.${autoDarkModeClass}`).forEach(wrapper => {
+    const instance = instances[getInstanceId(findInstance(wrapper).editor)];
+
+    if (instance) {
+      setTheme(wrapper, instance.theme, instance.darkMode, instance.darkModeSelector);
+    }
+  });
+}
+
+/**
+ * Apply the theme of an editor instance to another element (e.g: a dialog).
+ * @param {object} wrapper The instance's wrapper element.
+ * @param {object} element The element.
+ */
+function copyTheme(wrapper, element) {
+  clearTheme(element);
+
+  getThemeClasses(wrapper).forEach(className => element.classList.add(className));
+  getThemeVariables(wrapper).forEach(variable => {
+    element.style.setProperty(variable, wrapper.style.getPropertyValue(variable));
+  });
+}
+
+/**
+ * Remove the theme of an element.
+ * @param {object} element The element.
+ */
+function clearTheme(element) {
+  getThemeClasses(element).forEach(className => element.classList.remove(className));
+  getThemeVariables(element).forEach(variable => element.style.removeProperty(variable));
+}
+
+/**
+ * Get the classes of the named themes applied to an element.
+ * @param {object} element The element.
+ * @return {array} The class names.
+ */
+function getThemeClasses(element) {
+  return Array.from(element.classList).filter(className => {
+    return className.indexOf(themeClassPrefix) === 0 || className === darkModeClass;
+  });
+}
+
+/**
+ * Get the CSS variables set on an element.
+ * @param {object} element The element.
+ * @return {array} The variable names.
+ */
+function getThemeVariables(element) {
+  return Array.from(element.style).filter(property => property.indexOf('--wysi-') === 0);
+}
+
+/**
+ * Get the name of the CSS variable of a theme setting.
+ * @param {string} setting The setting, with or without the variable prefix (e.g: primary, --wysi-primary).
+ * @return {string} The CSS variable name.
+ */
+function getVariableName(setting) {
+  return setting.indexOf('--') === 0 ? setting : `--wysi-${setting}`;
+}
+
+export {
+  copyTheme,
+  setTheme
+};
\ No newline at end of file
@@ -1,9 +1,13 @@
 import document from 'document';
-import toolset from './toolset.js';
+import toolset, { getFormOptions } from './toolset.js';
 import { renderPopover } from './popover.js';
 import { renderListBox, selectListBoxItem } from './listbox.js';
 import { instances, selectedClass } from './common.js';
-import { execAction } from './commands.js';
+import { execAction, findClassTarget, setPlainTextPaste } from './commands.js';
+import { findKeyBinding, setKeyBindingAttributes } from './keybindings.js';
+import { triggerHook } from './hooks.js';
+import { isSourceView } from './source.js';
+import { getActiveColor } from './color.js';
 import {
   addListener,
   buildFragment,
@@ -19,9 +23,13 @@ import {
 /**
  * Render the toolbar.
  * @param {array} tools The list of tools in the toolbar.
+ * @param {object} [keyBindings] The key bindings of the tools.
+ * @param {object} [formOptions] The form options of the tools.
  * @return {string} The toolbars HTML string.
  */
-function renderToolbar(tools) {
+function renderToolbar(tools, keyBindings, formOptions) {
+  keyBindings = keyBindings || {};
+
   const toolbar = createElement('div', { class: 'wysi-toolbar' });
 
   // Generate toolbar buttons
@@ -39,17 +47,17 @@ function renderToolbar(tools) {
 
       // The format tool renders as a list box
       case 'format':
-        toolbar.appendChild(renderFormatTool());
+        toolbar.appendChild(renderFormatTool(keyBindings));
         break;
 
       // All the other tools render as buttons
       default:
         if (typeof toolName === 'object') {
           if (toolName.items) {
-            toolbar.appendChild(renderToolGroup(toolName));
+            toolbar.appendChild(renderToolGroup(toolName, keyBindings));
           }
         } else {
-          renderTool(toolName, toolbar);
+          renderTool(toolName, toolbar, keyBindings, formOptions);
         }
     }
   });
@@ -61,8 +69,10 @@ function renderToolbar(tools) {
  * Render a tool.
  * @param {string} name The tool's name.
  * @param {object} toolbar The toolbar to which the tool will be appended.
+ * @param {object} keyBindings The key bindings of the tools.
+ * @param {object} [formOptions] The form options of the tools.
  */
-function renderTool(name, toolbar) {
+function renderTool(name, toolbar, keyBindings, formOptions) {
   const tool = toolset[name];
   const label = getTranslation(name, tool.label);
   const button = createElement('button', {
@@ -74,9 +84,11 @@ function renderTool(name, toolbar) {
     _innerHTML: `<svg><use href="#wysi-${name}"></use></svg>`
   });
 
+  setKeyBindingAttributes(button, label, keyBindings[name]);
+
   // Tools that require parameters (e.g: image, link) need a popover
   if (tool.hasForm) {
-    const popover = renderPopover(name, button);
+    const popover = renderPopover(name, button, getFormOptions(name, formOptions));
     toolbar.appendChild(popover);
 
   // The other tools only display a button
@@ -88,9 +100,10 @@ function renderTool(name, toolbar) {
 /**
  * Render a tool group.
  * @param {object} details The group's properties.
+ * @param {object} keyBindings The key bindings of the tools.
  * @return {object} A DOM element containing the tool group.
  */
-function renderToolGroup(details) {
+function renderToolGroup(details, keyBindings) {
   const label = details.label || getTranslation('toolbar', 'Select an item');
   const options = details.items;
 
@@ -99,8 +112,9 @@ function renderToolGroup(details) {
     const label = getTranslation(option, tool.label);
     const icon = option;
     const action = option;
+    const shortcut = keyBindings[option];
 
-    return { label, icon, action };
+    return { label, icon, action, shortcut };
   });
 
   return renderListBox({ label, items });
@@ -108,9 +122,10 @@ function renderToolGroup(details) {
 
 /**
  * Render format tool.
+ * @param {object} keyBindings The key bindings of the tools.
  * @return {object} A DOM element containing the format tool.
  */
-function renderFormatTool() {
+function renderFormatTool(keyBindings) {
   const toolName = 'format';
   const label = getTranslation(toolName, toolset.format.label);
   const paragraphLabel = getTranslation(toolName, toolset.format.paragraph);
@@ -120,8 +135,9 @@ function renderFormatTool() {
     const name = tag;
     const label = tag === 'p' ? paragraphLabel : `${headingLabel} ${tag.substring(1)}`;
     const action = 'format';
+    const shortcut = keyBindings[`${toolName}.${tag}`];
 
-    return { name, label, action };
+    return { name, label, action, shortcut };
   });
 
   return renderListBox({ label, items, classes });
@@ -151,8 +167,8 @@ function updateToolbarState() {
   const { toolbar, editor, nodes } = findInstance(selectedNode);
   const tags = nodes.map(node => node.tagName.toLowerCase());
 
-  // Abort if the selection is not within an editor instance
-  if (!editor) {
+  // Abort if the selection is not within an editor instance, or if the instance shows its HTML source
+  if (!editor || isSourceView(editor)) {
     return;
   }
 
@@ -168,8 +184,11 @@ function updateToolbarState() {
   const instanceId = getInstanceId(editor);
   const allowedTags = instances[instanceId].allowedTags;
 
-  // Reset the state of all buttons
-  toolbar.querySelectorAll('[aria-pressed="true"]').forEach(button => button.setAttribute('aria-pressed', 'false'));
+  // Reset the state of all buttons (the fullscreen toggle reflects the instance's state)
+  toolbar.querySelectorAll('[aria-pressed="true"]:not([data-action="fullscreen"])').forEach(button => button.setAttribute('aria-pressed', 'false'));
+
+  // The plain text paste toggle reflects the instance's state
+  setPlainTextPaste(editor, !!instances[instanceId].pasteAsPlainText);
 
   // Reset the state of all list boxes
   toolbar.querySelectorAll('.wysi-listbox > div > button:first-of-type').forEach(button => selectListBoxItem(button));
@@ -214,6 +233,36 @@ function updateToolbarState() {
         }
     }    
   });
+
+  // Tools with a state callback decide whether they are active
+  toolbar.querySelectorAll('[data-action][aria-pressed]').forEach(button => {
+    const tool = toolset[button.dataset.action];
+
+    if (tool && tool.isActive) {
+      button.setAttribute('aria-pressed', !!tool.isActive(nodes));
+
+    // Class tools are active when the selected element has their class
+    } else if (tool && tool.className) {
+      const target = findClassTarget(nodes, tool);
+
+      button.setAttribute('aria-pressed', !!target && target.classList.contains(tool.className));
+    }
+  });
+
+  // Color tools show the color of the selection on their button
+  toolbar.querySelectorAll('.wysi-popover > [data-action]').forEach(button => {
+    const action = button.dataset.action;
+
+    if (getFormOptions(action).colors) {
+      const color = getActiveColor(nodes, action, instances[instanceId].formOptions);
+
+      button.style.setProperty('--wysi-active-color', color || 'transparent');
+      button.setAttribute('aria-pressed', !!color);
+    }
+  });
+
+  // The editor element itself is not an active tag
+  triggerHook(editor, 'selectionChange', { tags: tags.filter((tag, i) => nodes[i] !== editor) });
 }
 
 /**
@@ -254,11 +303,34 @@ addListener(document, 'click', '.wysi-toolbar > button', event => {
   const { editor } = findInstance(button);
   const selection = document.getSelection();
 
-  if (selection && editor.contains(selection.anchorNode)) {
+  // The selection is in the HTML source view's textarea while it's open
+  if (selection && editor.contains(selection.anchorNode) || isSourceView(editor)) {
     execAction(action, editor);
   }
 });
 
+// Execute a tool's action using its key binding
+addListener(document, 'keydown', '.wysi-editor', event => {
+  const editor = event.target;
+  const instance = instances[getInstanceId(editor)];
+  const keyBinding = instance ? findKeyBinding(instance.keyBindings || {}, event) : undefined;
+
+  if (keyBinding) {
+    const [action, option] = keyBinding.split('.');
+    const { toolbar } = findInstance(editor);
+    const popoverButton = toolbar.querySelector(`.wysi-popover > [data-action="${action}"]`);
+
+    // Tools that require parameters open their popover instead
+    if (popoverButton) {
+      popoverButton.click();
+    } else {
+      execAction(action, editor, option ? [option] : []);
+    }
+
+    event.preventDefault();
+  }
+});
+
 // Update the toolbar buttons state
 addListener(document, 'selectionchange', updateToolbarState);
 addListener(document, 'input', '.wysi-editor', updateToolbarState);
@@ -1,50 +1,66 @@
 // Supported tools
-export default {
+const toolset = {
   format: {
     tags: ['p', 'h1', 'h2', 'h3', 'h4'],
     styles: ['text-align'],
     label: 'Select block format',
     paragraph: 'Paragraph',
-    heading: 'Heading'
+    heading: 'Heading',
+    shortcuts: {
+      p: 'Ctrl+Alt+0',
+      h1: 'Ctrl+Alt+1',
+      h2: 'Ctrl+Alt+2',
+      h3: 'Ctrl+Alt+3',
+      h4: 'Ctrl+Alt+4'
+    }
   },
   quote: {
     tags: ['blockquote'],
-    label: 'Quote'
+    label: 'Quote',
+    shortcut: 'Ctrl+Shift+9'
   },
   bold: {
     tags: ['strong'],
     alias: ['b'],
-    label: 'Bold'
+    label: 'Bold',
+    shortcut: 'Ctrl+B'
   },
   italic: {
     tags: ['em'],
     alias: ['i'],
-    label: 'Italic'
+    label: 'Italic',
+    shortcut: 'Ctrl+I'
   },
   underline: {
     tags: ['u'],
-    label: 'Underline'
+    label: 'Underline',
+    shortcut: 'Ctrl+U'
   },
   strike: {
     tags: ['s'],
     alias: ['del', 'strike'],
     label: 'Strike-through',
+    shortcut: 'Ctrl+Shift+X',
     command: 'strikeThrough'
   },
   alignLeft: {
     label: 'Align left',
+    shortcut: 'Ctrl+Shift+L',
     command: 'justifyLeft'
   },
   alignCenter: {
     label: 'Align center',
+    shortcut: 'Ctrl+Shift+E',
     command: 'justifyCenter'
   },
   alignRight: {
     label: 'Align right',
+    shortcut: 'Ctrl+Shift+F',
     command: 'justifyRight'
   },
   alignJustify: {
     label: 'Justify',
+    shortcut: 'Ctrl+Alt+J',
     command: 'justifyFull'
   },
   ul: {
@@ -52,6 +68,7 @@ export default {
     extraTags: ['li'],
     styles: ['text-align'],
     label: 'Bulleted list',
+    shortcut: 'Ctrl+Shift+8',
     command: 'insertUnorderedList'
   },
   ol: {
@@ -59,18 +76,21 @@ export default {
     extraTags: ['li'],
     styles: ['text-align'],
     label: 'Numbered list',
+    shortcut: 'Ctrl+Shift+7',
     command: 'insertOrderedList'
   },
   indent: {
-    label: 'Increase indent'
+    label: 'Increase indent',
+    shortcut: 'Ctrl+]'
   },
   outdent: {
-    label: 'Decrease indent'
+    label: 'Decrease indent',
+    shortcut: 'Ctrl+['
   },
   link: {
     tags: ['a'],
-    attributes: ['href', 'target'],
-    attributeLabels: ['URL', 'Open link in'],
+    attributes: ['href', 'target', 'title', 'rel'],
+    attributeLabels: ['URL', 'Open link in', 'Title', 'Relationship'],
     hasForm: true,
     formOptions: {
       target: [
@@ -82,14 +102,37 @@ export default {
           label: 'New tab',
           value: '_blank'
         }
+      ],
+      rel: [
+        {
+          label: 'No follow',
+          value: 'nofollow'
+        },
+        {
+          label: 'No opener',
+          value: 'noopener'
+        },
+        {
+          label: 'Sponsored',
+          value: 'sponsored'
+        },
+        {
+          label: 'User-generated',
+          value: 'ugc'
+        }
       ]
     },
-    label: 'Link'
+    invalidLabel: 'Enter a valid URL, #anchor, email or phone number',
+    protocolLabel: 'This type of link is not allowed',
+    label: 'Link',
+    shortcut: 'Ctrl+K'
   },
   image: {
     tags: ['img'],
+    extraTags: ['figure', 'figcaption'],
     attributes: ['src', 'alt'],
     attributeLabels: ['URL', 'Alternative text'],
+    captionLabel: 'Caption',
     extraSettings: ['size', 'position'],
     extraSettingLabels: ['Image size', 'Image position'],
     styles: ['width', 'display', 'margin', 'float'],
@@ -143,6 +186,81 @@ export default {
     },
     label: 'Image'
   },
+  table: {
+    tags: ['table'],
+    extraTags: ['thead', 'tbody', 'tr', 'th', 'td'],
+    isEmpty: true,
+    hasForm: true,
+    gridSize: {
+      rows: 8,
+      columns: 8
+    },
+    gridLabel: 'Insert table',
+    actionsLabel: 'Current cell',
+    actions: {
+      addRowBefore: 'Insert row above',
+      addRowAfter: 'Insert row below',
+      addColumnBefore: 'Insert column left',
+      addColumnAfter: 'Insert column right',
+      deleteRow: 'Delete row',
+      deleteColumn: 'Delete column',
+      toggleHeader: 'Toggle header row',
+      deleteTable: 'Delete table'
+    },
+    label: 'Table'
+  },
+  foreColor: {
+    extraTags: ['span'],
+    styles: ['color'],
+    hasForm: true,
+    formOptions: {
+      colors: [
+        { label: 'Black', value: '#000000' },
+        { label: 'Dark gray', value: '#555555' },
+        { label: 'Gray', value: '#999999' },
+        { label: 'Red', value: '#e03e2d' },
+        { label: 'Orange', value: '#e67e23' },
+        { label: 'Yellow', value: '#f1c40f' },
+        { label: 'Green', value: '#2dc26b' },
+        { label: 'Teal', value: '#169179' },
+        { label: 'Blue', value: '#3598db' },
+        { label: 'Purple', value: '#843fa1' }
+      ],
+
+      // Output classes made of this prefix and the color's hex code instead of inline styles
+      // e.g: 'text-' turns #e03e2d into class="text-e03e2d"
+      classPrefix: ''
+    },
+    paletteLabel: 'Colors',
+    customLabel: 'Custom color',
+    removeLabel: 'Remove color',
+    invalidLabel: 'Enter a valid color code (e.g: #3598db)',
+    label: 'Text color'
+  },
+  highlight: {
+    extraTags: ['span'],
+    styles: ['background-color'],
+    hasForm: true,
+    formOptions: {
+      colors: [
+        { label: 'Yellow', value: '#fbeeb8' },
+        { label: 'Orange', value: '#fbd5b5' },
+        { label: 'Red', value: '#f8cac6' },
+        { label: 'Pink', value: '#f9d0e8' },
+        { label: 'Purple', value: '#eccafa' },
+        { label: 'Blue', value: '#c2e0f4' },
+        { label: 'Teal', value: '#bfe9e4' },
+        { label: 'Green', value: '#bfedd2' },
+        { label: 'Gray', value: '#e6e6e6' }
+      ],
+      classPrefix: ''
+    },
+    paletteLabel: 'Colors',
+    customLabel: 'Custom color',
+    removeLabel: 'Remove color',
+    invalidLabel: 'Enter a valid color code (e.g: #3598db)',
+    label: 'Highlight color'
+  },
   hr: {
     tags: ['hr'],
     isEmpty: true,
@@ -150,9 +268,48 @@ export default {
     command: 'insertHorizontalRule'
   },
   removeFormat: {
-    label: 'Remove format'
+    label: 'Remove format',
+    shortcut: 'Ctrl+\\'
   },
   unlink: {
     label: 'Remove link'
+  },
+  shortcuts: {
+    label: 'Keyboard shortcuts',
+    shortcut: 'Ctrl+/',
+    hasDialog: true
+  },
+  pasteAsPlainText: {
+    label: 'Paste as plain text'
+  },
+  source: {
+    label: 'HTML source'
+  },
+  fullscreen: {
+    label: 'Fullscreen'
+  },
+  undo: {
+    label: 'Undo',
+    shortcut: 'Ctrl+Z'
+  },
+  redo: {
+    label: 'Redo',
+    shortcut: ['Ctrl+Y', 'Ctrl+Shift+Z']
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Get the form options of a tool, with the overrides of an instance if any.
+ * @param {string} toolName The tool name.
+ * @param {object} [overrides] The form options of the instance's tools (by tool name).
+ * @return {object} The tool's form options.
+ */
+function getFormOptions(toolName, overrides) {
+  const tool = toolset[toolName] || {};
+
+  return Object.assign({}, tool.formOptions, overrides ? overrides[toolName] : {});
+}
+
+export { getFormOptions };
+
+export default toolset;
\ No newline at end of file
@@ -0,0 +1,132 @@
+import document from 'document';
+import { instances } from './common.js';
+import { execAction } from './commands.js';
+import { isReadOnly } from './readonly.js';
+import {
+  addListener,
+  createElement,
+  findInstance,
+  getInstanceId,
+  getTranslation,
+  setCurrentSelection,
+  setSelection
+} from './utils.js';
+
+// The CSS class of image upload placeholders
+const uploadingClass = 'wysi-uploading';
+
+/**
+ * Check if an editor instance can upload images.
+ * @param {object} editor The editor element.
+ * @return {boolean} True if the instance has an uploadImage function.
+ */
+function canUploadImages(editor) {
+  const instance = instances[getInstanceId(editor)];
+
+  return !!(instance && instance.uploadImage) && !isReadOnly(editor);
+}
+
+/**
+ * Get the image files from a list of files.
+ * @param {object} files A FileList or an array of files.
+ * @return {array} The image files.
+ */
+function getImageFiles(files) {
+  return Array.from(files || []).filter(file => file.type.indexOf('image/') === 0);
+}
+
+/**
+ * Upload image files and insert them at the current selection of an editor instance.
+ * @param {object} editor The editor element.
+ * @param {object} files A FileList or an array of files (files that are not images are ignored).
+ */
+function uploadImages(editor, files) {
+  const { uploadImage, onUploadError } = instances[getInstanceId(editor)];
+
+  getImageFiles(files).forEach(file => {
+    const placeholder = insertUploadPlaceholder(editor);
+
+    // Errors thrown by the upload function are handled like rejections
+    new Promise(resolve => resolve(uploadImage(file))).then(url => {
+      // The placeholder may have been deleted in the meantime
+      if (!editor.contains(placeholder)) {
+        return;
+      }
+
+      const range = document.createRange();
+
+      // Replace the placeholder using the image tool, which checks the URL and triggers the command hooks
+      range.selectNode(placeholder);
+      setCurrentSelection(range);
+      execAction('image', editor, [url]);
+
+      // The placeholder is left if the image was not inserted (e.g: the URL's protocol is not allowed)
+      if (editor.contains(placeholder)) {
+        throw new Error(`The image could not be inserted: ${url}`);
+      }
+    }).catch(error => {
+      placeholder.remove();
+
+      if (onUploadError) {
+        onUploadError(error, file);
+      }
+    });
+  });
+}
+
+/**
+ * Insert an image upload placeholder at the current selection of an editor instance.
+ * @param {object} editor The editor element.
+ * @return {object} The placeholder element.
+ */
+function insertUploadPlaceholder(editor) {
+  const selection = document.getSelection();
+  const placeholder = createElement('span', {
+    class: uploadingClass,
+    contenteditable: false,
+    'data-label': getTranslation('image', 'Uploading…')
+  });
+  let range;
+
+  if (selection && selection.rangeCount && editor.contains(selection.anchorNode)) {
+    range = selection.getRangeAt(0);
+    range.deleteContents();
+  } else {
+    // Append the image to the content if the editor has no selection
+    range = document.createRange();
+    range.selectNodeContents(editor);
+    range.collapse(false);
+  }
+
+  // The placeholder has no content, so it never ends up in the textarea
+  range.insertNode(placeholder);
+  range.setStartAfter(placeholder);
+  range.collapse(true);
+  setSelection(range);
+
+  return placeholder;
+}
+
+// Upload pasted image files
+addListener(document, 'paste', event => {
+  const { editor } = findInstance(event.target);
+  const clipboardData = event.clipboardData;
+
+  if (!editor || !clipboardData || clipboardData.types.includes('text/html') || !canUploadImages(editor)) {
+    return;
+  }
+
+  const files = getImageFiles(clipboardData.files);
+
+  if (files.length) {
+    uploadImages(editor, files);
+    event.preventDefault();
+    event.stopImmediatePropagation();
+  }
+});
+
+export {
+  canUploadImages,
+  getImageFiles,
+  uploadImages
+};
\ No newline at end of file
@@ -99,6 +99,17 @@ export function DOMReady(fn, args) {
   }
 }
 
+/**
+ * Escape the HTML special characters in a string.
+ * @param {string} str The string to escape.
+ * @return {string} The escaped string.
+ */
+export function escapeHTML(str) {
+  const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+  return String(str).replace(/[&<>"']/g, char => entities[char]);
+}
+
 /**
  * Find the the deepest child of a node.
  * @param {object} node The target node.
@@ -162,9 +173,10 @@ export function getCurrentSelection() {
  * @return {string} The html content of the fragment.
  */
 export function getFragmentContent(fragment) {
-  const wrapper = createElement('div');
+  // A template's content is inert, so unfiltered content (e.g: <img onerror>) is never loaded or run
+  const wrapper = createElement('template');
 
-  wrapper.appendChild(fragment);
+  wrapper.content.appendChild(fragment);
   return wrapper.innerHTML;
 }
 
@@ -177,6 +189,32 @@ export function getInstanceId(editor) {
   return editor.dataset.wid;
 }
 
+/**
+ * Get a collapsed range at a position in the viewport (e.g: the position of a drop).
+ * @param {number} x The horizontal coordinate.
+ * @param {number} y The vertical coordinate.
+ * @return {object} The range, or null if not supported.
+ */
+export function getRangeFromPoint(x, y) {
+  if (document.caretRangeFromPoint) {
+    return document.caretRangeFromPoint(x, y);
+  }
+
+  if (document.caretPositionFromPoint) {
+    const position = document.caretPositionFromPoint(x, y);
+
+    if (position) {
+      const range = document.createRange();
+
+      range.setStart(position.offsetNode, position.offset);
+      range.collapse(true);
+      return range;
+    }
+  }
+
+  return null;
+}
+
 /**
  * Get a list of DOM elements based on a selector value.
  * @param {(string|object)} selector A CSS selector string, a DOM element or a list of DOM elements.
@@ -254,6 +292,15 @@ export function getTranslation(category, str) {
   return str;
 }
 
+/**
+ * Check if an editor element has no content.
+ * @param {object} editor The editor element.
+ * @return {boolean} True if the editor has neither text nor embedded content.
+ */
+export function isEditorEmpty(editor) {
+  return editor.textContent.trim() === '' && !editor.querySelector('img, hr, table');
+}
+
 /**
  * Restore a previous selection if any.
  */
@@ -291,6 +338,20 @@ export function storeTranslations(translations) {
   availableTranslations = translations;
 }
 
+/**
+ * Convert plain text to HTML paragraphs and line breaks.
+ * A single paragraph is not wrapped so that it can be inserted inline.
+ * @param {string} text The plain text.
+ * @return {string} The HTML code.
+ */
+export function textToHTML(text) {
+  const paragraphs = text.replace(/\r\n?/g, '\n').split(/\n\s*\n/)
+    .filter(paragraph => paragraph.trim() !== '')
+    .map(paragraph => escapeHTML(paragraph).replace(/\n/g, '<br>'));
+
+  return paragraphs.length > 1 ? paragraphs.map(paragraph => `<p>${paragraph}</p>`).join('') : paragraphs.join('');
+}
+
 /**
  * Set the expanded state of a button.
  * @param {object} button The button.